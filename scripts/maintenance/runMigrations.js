@@ -0,0 +1,60 @@
+// scripts/maintenance/runMigrations.js
+// Applies every scripts/migrations/*.sql file in name order, each in its own
+// transaction. Migrations are written to be re-runnable (IF NOT EXISTS), so
+// running this again after pulling only adds what is missing.
+import dotenv from "dotenv";
+import fs from "fs";
+import path from "path";
+import pg from "pg";
+import { fileURLToPath } from "url";
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const MIGRATIONS_DIR = path.join(__dirname, "../migrations");
+
+(async () => {
+  console.log("🧱 PC Component Picker — Database Migrations");
+  console.log("══════════════════════════════════════════════");
+
+  if (!process.env.DATABASE_URL) {
+    console.error("❌ Missing DATABASE_URL in .env file!");
+    process.exit(1);
+  }
+
+  const files = fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((f) => f.endsWith(".sql"))
+    .sort();
+
+  const client = new pg.Client({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false },
+  });
+
+  await client.connect();
+
+  let failed = false;
+
+  for (const file of files) {
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), "utf8");
+
+    try {
+      await client.query("BEGIN");
+      await client.query(sql);
+      await client.query("COMMIT");
+      console.log(`✅ Applied: ${file}`);
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error(`❌ Error in ${file}: ${err.message}`);
+      failed = true;
+      break;
+    }
+  }
+
+  await client.end();
+
+  console.log("══════════════════════════════════════════════\n");
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,4 @@
+-- Cooler thermal rating (W of CPU heat it can dissipate), read by the
+-- COOLER_UNDERRATED rule and seeded by seedCpuCoolerSpecs.js
+ALTER TABLE cpu_cooler_specs
+  ADD COLUMN IF NOT EXISTS tdp_rating integer;
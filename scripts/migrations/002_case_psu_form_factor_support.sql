@@ -0,0 +1,4 @@
+-- PSU form factors a case can mount (e.g. {ATX} or {SFX,SFX-L}), read by the
+-- PSU_FORM_FACTOR_UNSUPPORTED rule and seeded by seedCaseSpecs.js
+ALTER TABLE case_specs
+  ADD COLUMN IF NOT EXISTS psu_form_factor_support text[];
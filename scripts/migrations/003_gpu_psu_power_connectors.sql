@@ -0,0 +1,9 @@
+-- GPU power inputs (e.g. {"2x 8-pin"}, {} = slot powered) and the PCIe cables
+-- a PSU provides (e.g. {"1x 12V-2x6","4x 8-pin"}), read by the
+-- GPU_POWER_CONNECTORS_MISSING / GPU_POWER_ADAPTER_NEEDED rules and seeded by
+-- seedGpuSpecs.js / seedPsuSpecs.js
+ALTER TABLE gpu_specs
+  ADD COLUMN IF NOT EXISTS power_connectors text[];
+
+ALTER TABLE psu_specs
+  ADD COLUMN IF NOT EXISTS pcie_connectors text[];
@@ -0,0 +1,10 @@
+-- Radiator sizes (mm) a case mounts per position and the AIO radiator size,
+-- read by the RADIATOR_UNSUPPORTED rule and seeded by seedCaseSpecs.js /
+-- seedCpuCoolerSpecs.js
+ALTER TABLE case_specs
+  ADD COLUMN IF NOT EXISTS radiator_front integer[],
+  ADD COLUMN IF NOT EXISTS radiator_top integer[],
+  ADD COLUMN IF NOT EXISTS radiator_side integer[];
+
+ALTER TABLE cpu_cooler_specs
+  ADD COLUMN IF NOT EXISTS radiator_size integer;
@@ -0,0 +1,15 @@
+-- Admin-maintained chipset ↔ CPU generation support entries that override the
+-- built-in table in src/utils/chipsetSupport.js. Keys are stored normalized
+-- (chipsetKey / generationKey); one entry per pair, which the admin upsert
+-- (ON CONFLICT (chipset, cpu_generation)) relies on.
+CREATE TABLE IF NOT EXISTS chipset_cpu_support (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  chipset text NOT NULL,
+  cpu_generation text NOT NULL,
+  support text NOT NULL
+    CHECK (support IN ('native', 'bios_update', 'unsupported')),
+  note text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT chipset_cpu_support_pair_key UNIQUE (chipset, cpu_generation)
+);
@@ -0,0 +1,6 @@
+-- Undo / redo history for the temp build: each stack holds up to
+-- TEMP_HISTORY_LIMIT previous component maps, newest first
+-- (see TEMP BUILD HISTORY in src/models/builderModel.js)
+ALTER TABLE user_builds_temp
+  ADD COLUMN IF NOT EXISTS undo_stack jsonb NOT NULL DEFAULT '[]'::jsonb,
+  ADD COLUMN IF NOT EXISTS redo_stack jsonb NOT NULL DEFAULT '[]'::jsonb;
@@ -0,0 +1,17 @@
+-- Named temp builds ("drafts"). The default draft stays in user_builds_temp;
+-- at most one named draft per user is active (see DRAFTS in
+-- src/models/builderModel.js).
+CREATE TABLE IF NOT EXISTS user_build_drafts (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL,
+  name text NOT NULL,
+  components jsonb NOT NULL DEFAULT '{}'::jsonb,
+  undo_stack jsonb NOT NULL DEFAULT '[]'::jsonb,
+  redo_stack jsonb NOT NULL DEFAULT '[]'::jsonb,
+  is_active boolean NOT NULL DEFAULT false,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS user_build_drafts_user_idx
+  ON user_build_drafts (user_id, created_at);
@@ -0,0 +1,9 @@
+-- Public share links: a saved build is public while it has a share_slug
+-- (random, unguessable; see SHARE LINKS in src/models/builderModel.js)
+ALTER TABLE user_builds
+  ADD COLUMN IF NOT EXISTS share_slug text,
+  ADD COLUMN IF NOT EXISTS shared_at timestamptz;
+
+CREATE UNIQUE INDEX IF NOT EXISTS user_builds_share_slug_key
+  ON user_builds (share_slug)
+  WHERE share_slug IS NOT NULL;
@@ -0,0 +1,17 @@
+-- Saved build revisions: every update stores the resulting build, numbered
+-- per build from 1 ("original"); see UPDATE SAVED BUILD + REVISIONS in
+-- src/models/builderModel.js
+CREATE TABLE IF NOT EXISTS user_build_revisions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  build_id uuid NOT NULL REFERENCES user_builds (id) ON DELETE CASCADE,
+  user_id uuid NOT NULL,
+  revision integer NOT NULL,
+  name text,
+  components jsonb NOT NULL DEFAULT '{}'::jsonb,
+  total_price numeric,
+  power_usage integer,
+  compatibility text,
+  note text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  CONSTRAINT user_build_revisions_build_revision_key UNIQUE (build_id, revision)
+);
@@ -0,0 +1,5 @@
+-- Per-part prices at save time ({ componentId: price }), compared with the
+-- catalog by the price drift report (src/utils/priceDrift.js). Builds saved
+-- before this column existed keep NULL and only report totals.
+ALTER TABLE user_builds
+  ADD COLUMN IF NOT EXISTS price_snapshot jsonb;
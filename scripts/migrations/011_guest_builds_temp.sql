@@ -0,0 +1,15 @@
+-- Temp builds of visitors without an account, keyed by the random guest token
+-- from POST /api/builder/guest. Rows untouched for GUEST_BUILD_TTL_DAYS are
+-- ignored and purged by the server (see GUEST BUILDS in
+-- src/models/builderModel.js).
+CREATE TABLE IF NOT EXISTS guest_builds_temp (
+  guest_token text PRIMARY KEY,
+  components jsonb NOT NULL DEFAULT '{}'::jsonb,
+  undo_stack jsonb NOT NULL DEFAULT '[]'::jsonb,
+  redo_stack jsonb NOT NULL DEFAULT '[]'::jsonb,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS guest_builds_temp_updated_at_idx
+  ON guest_builds_temp (updated_at);
@@ -59,6 +59,10 @@ async function seedCaseSpecs() {
         form_factor: "ATX, Micro-ATX, Mini-ITX",
         max_gpu_length: 400,
         max_cpu_cooler_height: 185,
+        psu_form_factor: "ATX",
+        radiator_front: "120, 140, 240, 280, 360",
+        radiator_top: "120, 140, 240, 280, 360",
+        radiator_side: "",
         psu_shroud: true,
         side_panel: "Tempered Glass",
       },
@@ -69,6 +73,10 @@ async function seedCaseSpecs() {
         form_factor: "ATX, Micro-ATX, Mini-ITX",
         max_gpu_length: 360,
         max_cpu_cooler_height: 170,
+        psu_form_factor: "ATX",
+        radiator_front: "120, 140, 240, 280, 360",
+        radiator_top: "120, 140, 240, 280",
+        radiator_side: "",
         psu_shroud: true,
         side_panel: "Tempered Glass",
       },
@@ -79,6 +87,10 @@ async function seedCaseSpecs() {
         form_factor: "ATX, Micro-ATX, Mini-ITX, E-ATX",
         max_gpu_length: 392,
         max_cpu_cooler_height: 180,
+        psu_form_factor: "ATX",
+        radiator_front: "120, 140, 240, 280, 360",
+        radiator_top: "120, 140, 240, 280, 360",
+        radiator_side: "",
         psu_shroud: true,
         side_panel: "Tempered Glass",
       },
@@ -89,6 +101,10 @@ async function seedCaseSpecs() {
         form_factor: "ATX, Micro-ATX, Mini-ITX, E-ATX",
         max_gpu_length: 491,
         max_cpu_cooler_height: 185,
+        psu_form_factor: "ATX",
+        radiator_front: "120, 140, 240, 280, 360, 420",
+        radiator_top: "120, 140, 240, 280, 360, 420",
+        radiator_side: "",
         psu_shroud: true,
         side_panel: "Tempered Glass",
       },
@@ -99,6 +115,10 @@ async function seedCaseSpecs() {
         form_factor: "ATX, Micro-ATX, Mini-ITX",
         max_gpu_length: 369,
         max_cpu_cooler_height: 190,
+        psu_form_factor: "ATX",
+        radiator_front: "120, 140, 240, 280, 360",
+        radiator_top: "120, 240",
+        radiator_side: "",
         psu_shroud: true,
         side_panel: "Tempered Glass",
       },
@@ -109,6 +129,10 @@ async function seedCaseSpecs() {
         form_factor: "ATX, Micro-ATX, Mini-ITX",
         max_gpu_length: 420,
         max_cpu_cooler_height: 160,
+        psu_form_factor: "ATX",
+        radiator_front: "120, 140, 240, 280, 360",
+        radiator_top: "120, 140, 240, 280",
+        radiator_side: "",
         psu_shroud: true,
         side_panel: "Tempered Glass",
       },
@@ -119,6 +143,10 @@ async function seedCaseSpecs() {
         form_factor: "ATX, Micro-ATX, Mini-ITX",
         max_gpu_length: 410,
         max_cpu_cooler_height: 165,
+        psu_form_factor: "ATX",
+        radiator_front: "120, 140, 240, 280, 360",
+        radiator_top: "120, 140, 240, 280, 360",
+        radiator_side: "",
         psu_shroud: true,
         side_panel: "Tempered Glass",
       },
@@ -131,6 +159,10 @@ async function seedCaseSpecs() {
         form_factor: "ATX, Micro-ATX, Mini-ITX, E-ATX",
         max_gpu_length: 445,
         max_cpu_cooler_height: 167,
+        psu_form_factor: "ATX",
+        radiator_front: "",
+        radiator_top: "120, 140, 240, 280, 360",
+        radiator_side: "120, 140, 240, 280, 360",
         psu_shroud: true,
         side_panel: "Tempered Glass",
       },
@@ -141,6 +173,10 @@ async function seedCaseSpecs() {
         form_factor: "ATX, Micro-ATX, Mini-ITX, E-ATX",
         max_gpu_length: 420,
         max_cpu_cooler_height: 170,
+        psu_form_factor: "ATX",
+        radiator_front: "120, 140, 240, 280, 360",
+        radiator_top: "120, 140, 240, 280, 360",
+        radiator_side: "120, 140, 240, 280, 360",
         psu_shroud: true,
         side_panel: "Tempered Glass",
       },
@@ -151,6 +187,10 @@ async function seedCaseSpecs() {
         form_factor: "ATX, Micro-ATX, Mini-ITX, E-ATX",
         max_gpu_length: 423,
         max_cpu_cooler_height: 188,
+        psu_form_factor: "ATX",
+        radiator_front: "120, 140, 240, 280, 360, 420",
+        radiator_top: "120, 140, 240, 280, 360",
+        radiator_side: "",
         psu_shroud: true,
         side_panel: "Tempered Glass",
       },
@@ -161,6 +201,10 @@ async function seedCaseSpecs() {
         form_factor: "ATX, Micro-ATX, Mini-ITX, E-ATX",
         max_gpu_length: 472,
         max_cpu_cooler_height: 185,
+        psu_form_factor: "ATX",
+        radiator_front: "120, 140, 240, 280, 360, 420",
+        radiator_top: "120, 140, 240, 280, 360, 420",
+        radiator_side: "",
         psu_shroud: true,
         side_panel: "Tempered Glass",
       },
@@ -171,6 +215,10 @@ async function seedCaseSpecs() {
         form_factor: "ATX, Micro-ATX, Mini-ITX, E-ATX",
         max_gpu_length: 503,
         max_cpu_cooler_height: 190,
+        psu_form_factor: "ATX",
+        radiator_front: "120, 140, 240, 280, 360, 420",
+        radiator_top: "120, 140, 240, 280, 360, 420",
+        radiator_side: "120, 140, 240, 280, 360",
         psu_shroud: true,
         side_panel: "Tempered Glass",
       },
@@ -181,6 +229,10 @@ async function seedCaseSpecs() {
         form_factor: "ATX, Micro-ATX, Mini-ITX, E-ATX, SSI-EEB",
         max_gpu_length: 490,
         max_cpu_cooler_height: 166,
+        psu_form_factor: "ATX",
+        radiator_front: "120, 140, 240, 280, 360, 420",
+        radiator_top: "120, 140, 240, 280, 360, 420",
+        radiator_side: "",
         psu_shroud: true,
         side_panel: "Tempered Glass",
       },
@@ -191,6 +243,10 @@ async function seedCaseSpecs() {
         form_factor: "ATX, Micro-ATX, Mini-ITX",
         max_gpu_length: 435,
         max_cpu_cooler_height: 165,
+        psu_form_factor: "ATX",
+        radiator_front: "",
+        radiator_top: "120, 140, 240, 280, 360",
+        radiator_side: "120, 140, 240, 280, 360",
         psu_shroud: true,
         side_panel: "Tempered Glass",
       },
@@ -202,6 +258,10 @@ async function seedCaseSpecs() {
         form_factor: "Micro-ATX, Mini-ITX",
         max_gpu_length: 330,
         max_cpu_cooler_height: 160,
+        psu_form_factor: "ATX",
+        radiator_front: "120, 240",
+        radiator_top: "120, 240",
+        radiator_side: "",
         psu_shroud: true,
         side_panel: "Tempered Glass",
       },
@@ -212,6 +272,10 @@ async function seedCaseSpecs() {
         form_factor: "Micro-ATX, Mini-ITX",
         max_gpu_length: 335,
         max_cpu_cooler_height: 160,
+        psu_form_factor: "ATX",
+        radiator_front: "120, 240",
+        radiator_top: "120, 240",
+        radiator_side: "",
         psu_shroud: true,
         side_panel: "Tempered Glass",
       },
@@ -222,6 +286,10 @@ async function seedCaseSpecs() {
         form_factor: "Micro-ATX, Mini-ITX",
         max_gpu_length: 250,
         max_cpu_cooler_height: 151,
+        psu_form_factor: "ATX",
+        radiator_front: "120, 240",
+        radiator_top: "",
+        radiator_side: "",
         psu_shroud: false,
         side_panel: "Acrylic",
       },
@@ -232,6 +300,10 @@ async function seedCaseSpecs() {
         form_factor: "Micro-ATX, Mini-ITX",
         max_gpu_length: 240,
         max_cpu_cooler_height: 150,
+        psu_form_factor: "ATX",
+        radiator_front: "120, 240",
+        radiator_top: "",
+        radiator_side: "",
         psu_shroud: false,
         side_panel: "Acrylic",
       },
@@ -248,12 +320,25 @@ async function seedCaseSpecs() {
       }
 
       const forms = item.specs.form_factor.split(",").map((f) => f.trim());
+      const psuForms = item.specs.psu_form_factor
+        .split(",")
+        .map((f) => f.trim().toUpperCase());
+      // "120, 240, 360" → [120, 240, 360] (mm radiator sizes per position)
+      const radiatorSizes = (list) =>
+        (list || "")
+          .split(",")
+          .map((v) => Number(v.trim()))
+          .filter(Boolean);
       return {
         component_id: id,
         form_factor: forms[0],
         form_factor_support: forms,
         max_gpu_length: item.specs.max_gpu_length,
         max_cpu_cooler_height: item.specs.max_cpu_cooler_height,
+        psu_form_factor_support: psuForms,
+        radiator_front: radiatorSizes(item.specs.radiator_front),
+        radiator_top: radiatorSizes(item.specs.radiator_top),
+        radiator_side: radiatorSizes(item.specs.radiator_side),
         psu_shroud: item.specs.psu_shroud,
         side_panel: item.specs.side_panel,
       };
@@ -60,6 +60,7 @@ async function seedCpuCoolerSpecs() {
         fan_rpm: "300–1500 RPM",
         noise_level: "24.6 dBA",
         height: 165,
+        tdp_rating: 250,
         compatible_sockets: ["LGA1700", "LGA1200", "AM5", "AM4"],
       },
     },
@@ -70,6 +71,7 @@ async function seedCpuCoolerSpecs() {
         fan_rpm: "600–1500 RPM",
         noise_level: "24.3 dBA",
         height: 163,
+        tdp_rating: 250,
         compatible_sockets: ["LGA1700", "LGA115x", "AM5", "AM4"],
       },
     },
@@ -80,6 +82,7 @@ async function seedCpuCoolerSpecs() {
         fan_rpm: "500–1550 RPM",
         noise_level: "25.6 dBA",
         height: 157,
+        tdp_rating: 230,
         compatible_sockets: ["LGA1700", "LGA115x", "AM5", "AM4"],
       },
     },
@@ -90,6 +93,7 @@ async function seedCpuCoolerSpecs() {
         fan_rpm: "500–1850 RPM",
         noise_level: "28 dBA",
         height: 160,
+        tdp_rating: 240,
         compatible_sockets: ["LGA1700", "LGA115x", "AM5", "AM4"],
       },
     },
@@ -100,6 +104,7 @@ async function seedCpuCoolerSpecs() {
         fan_rpm: "300–1500 RPM",
         noise_level: "22.4 dBA",
         height: 158,
+        tdp_rating: 160,
         compatible_sockets: ["LGA1700", "LGA1200", "AM5", "AM4"],
       },
     },
@@ -110,6 +115,7 @@ async function seedCpuCoolerSpecs() {
         fan_rpm: "200–1800 RPM",
         noise_level: "22.4 dBA",
         height: 158,
+        tdp_rating: 180,
         compatible_sockets: ["LGA1700", "LGA1151", "AM5", "AM4"],
       },
     },
@@ -120,6 +126,7 @@ async function seedCpuCoolerSpecs() {
         fan_rpm: "700–1800 RPM",
         noise_level: "26.4 dBA",
         height: 154,
+        tdp_rating: 200,
         compatible_sockets: ["LGA1700", "LGA115x", "AM5", "AM4"],
       },
     },
@@ -132,6 +139,8 @@ async function seedCpuCoolerSpecs() {
         fan_rpm: "400–2400 RPM",
         noise_level: "10–37 dBA",
         height: 360,
+        radiator_size: 360,
+        tdp_rating: 300,
         compatible_sockets: ["LGA1700", "LGA1200", "AM5", "AM4"],
       },
     },
@@ -142,6 +151,8 @@ async function seedCpuCoolerSpecs() {
         fan_rpm: "300–2100 RPM",
         noise_level: "29 dBA",
         height: 360,
+        radiator_size: 360,
+        tdp_rating: 300,
         compatible_sockets: ["LGA1700", "LGA1200", "AM5", "AM4"],
       },
     },
@@ -152,6 +163,8 @@ async function seedCpuCoolerSpecs() {
         fan_rpm: "200–1700 RPM",
         noise_level: "22.5 dBA",
         height: 280,
+        radiator_size: 280,
+        tdp_rating: 280,
         compatible_sockets: ["LGA1700", "LGA1200", "AM5", "AM4"],
       },
     },
@@ -162,6 +175,8 @@ async function seedCpuCoolerSpecs() {
         fan_rpm: "500–1800 RPM",
         noise_level: "21–36 dBA",
         height: 360,
+        radiator_size: 360,
+        tdp_rating: 300,
         compatible_sockets: ["LGA1700", "LGA1200", "AM5", "AM4"],
       },
     },
@@ -172,6 +187,8 @@ async function seedCpuCoolerSpecs() {
         fan_rpm: "500–2250 RPM",
         noise_level: "32 dBA",
         height: 360,
+        radiator_size: 360,
+        tdp_rating: 300,
         compatible_sockets: ["LGA1700", "LGA1200", "AM5", "AM4"],
       },
     },
@@ -182,6 +199,8 @@ async function seedCpuCoolerSpecs() {
         fan_rpm: "500–2000 RPM",
         noise_level: "32.1 dBA",
         height: 360,
+        radiator_size: 360,
+        tdp_rating: 300,
         compatible_sockets: ["LGA1700", "LGA1200", "AM5", "AM4"],
       },
     },
@@ -192,6 +211,8 @@ async function seedCpuCoolerSpecs() {
         fan_rpm: "400–1850 RPM",
         noise_level: "10–28 dBA",
         height: 240,
+        radiator_size: 240,
+        tdp_rating: 250,
         compatible_sockets: ["LGA1700", "LGA1200", "AM5", "AM4"],
       },
     },
@@ -202,6 +223,7 @@ async function seedCpuCoolerSpecs() {
         fan_rpm: "500–1650 RPM",
         noise_level: "30 dBA",
         height: 155,
+        tdp_rating: 130,
         compatible_sockets: ["LGA1700", "LGA115x", "AM5", "AM4"],
       },
     },
@@ -212,6 +234,7 @@ async function seedCpuCoolerSpecs() {
         fan_rpm: "500–1850 RPM",
         noise_level: "29 dBA",
         height: 155,
+        tdp_rating: 160,
         compatible_sockets: ["LGA1700", "LGA115x", "AM5", "AM4"],
       },
     },
@@ -222,6 +245,7 @@ async function seedCpuCoolerSpecs() {
         fan_rpm: "500–1800 RPM",
         noise_level: "26.4 dBA",
         height: 157,
+        tdp_rating: 150,
         compatible_sockets: ["LGA1700", "LGA115x", "AM5", "AM4"],
       },
     },
@@ -232,6 +256,7 @@ async function seedCpuCoolerSpecs() {
         fan_rpm: "500–1500 RPM",
         noise_level: "25.6 dBA",
         height: 155,
+        tdp_rating: 150,
         compatible_sockets: ["LGA1700", "LGA115x", "AM5", "AM4"],
       },
     },
@@ -242,6 +267,8 @@ async function seedCpuCoolerSpecs() {
         fan_rpm: "300–1900 RPM",
         noise_level: "28.6 dBA",
         height: 240,
+        radiator_size: 240,
+        tdp_rating: 250,
         compatible_sockets: ["LGA1700", "LGA1200", "AM5", "AM4"],
       },
     },
@@ -262,6 +289,10 @@ async function seedCpuCoolerSpecs() {
         fan_rpm: item.specs.fan_rpm,
         noise_level: item.specs.noise_level,
         height: Number(item.specs.height),
+        radiator_size: item.specs.radiator_size
+          ? Number(item.specs.radiator_size) // mm, liquid coolers only
+          : null,
+        tdp_rating: Number(item.specs.tdp_rating), // W of CPU heat it can dissipate
         compatible_sockets: item.specs.compatible_sockets,
       };
     })
@@ -65,6 +65,7 @@ async function seedGpuSpecs() {
         tdp: 450,
         length: 336,
         ports: ["3x DisplayPort 1.4a", "1x HDMI 2.1"],
+        power_connectors: ["1x 12VHPWR"],
       },
     },
     {
@@ -77,6 +78,7 @@ async function seedGpuSpecs() {
         tdp: 320,
         length: 304,
         ports: ["3x DisplayPort 1.4a", "1x HDMI 2.1"],
+        power_connectors: ["1x 12VHPWR"],
       },
     },
     {
@@ -89,6 +91,7 @@ async function seedGpuSpecs() {
         tdp: 285,
         length: 285,
         ports: ["3x DisplayPort 1.4a", "1x HDMI 2.1"],
+        power_connectors: ["1x 12VHPWR"],
       },
     },
     {
@@ -101,6 +104,7 @@ async function seedGpuSpecs() {
         tdp: 220,
         length: 267,
         ports: ["3x DisplayPort 1.4a", "1x HDMI 2.1"],
+        power_connectors: ["1x 12VHPWR"],
       },
     },
     {
@@ -113,6 +117,7 @@ async function seedGpuSpecs() {
         tdp: 200,
         length: 244,
         ports: ["3x DisplayPort 1.4a", "1x HDMI 2.1"],
+        power_connectors: ["1x 12VHPWR"],
       },
     },
     {
@@ -125,6 +130,7 @@ async function seedGpuSpecs() {
         tdp: 165,
         length: 244,
         ports: ["3x DisplayPort 1.4a", "1x HDMI 2.1"],
+        power_connectors: ["1x 8-pin"],
       },
     },
     {
@@ -137,6 +143,7 @@ async function seedGpuSpecs() {
         tdp: 160,
         length: 244,
         ports: ["3x DisplayPort 1.4a", "1x HDMI 2.1"],
+        power_connectors: ["1x 8-pin"],
       },
     },
 
@@ -153,6 +160,7 @@ async function seedGpuSpecs() {
         tdp: 355,
         length: 287,
         ports: ["2x DisplayPort 2.1", "1x HDMI 2.1", "1x USB-C"],
+        power_connectors: ["2x 8-pin"],
       },
     },
     {
@@ -165,6 +173,7 @@ async function seedGpuSpecs() {
         tdp: 300,
         length: 276,
         ports: ["2x DisplayPort 2.1", "1x HDMI 2.1", "1x USB-C"],
+        power_connectors: ["2x 8-pin"],
       },
     },
     {
@@ -177,6 +186,7 @@ async function seedGpuSpecs() {
         tdp: 260,
         length: 267,
         ports: ["2x DisplayPort 2.1", "1x HDMI 2.1"],
+        power_connectors: ["2x 8-pin"],
       },
     },
     {
@@ -189,6 +199,7 @@ async function seedGpuSpecs() {
         tdp: 263,
         length: 267,
         ports: ["2x DisplayPort 2.1", "1x HDMI 2.1"],
+        power_connectors: ["2x 8-pin"],
       },
     },
     {
@@ -201,6 +212,7 @@ async function seedGpuSpecs() {
         tdp: 245,
         length: 267,
         ports: ["2x DisplayPort 2.1", "1x HDMI 2.1"],
+        power_connectors: ["2x 8-pin"],
       },
     },
     {
@@ -213,6 +225,7 @@ async function seedGpuSpecs() {
         tdp: 190,
         length: 267,
         ports: ["3x DisplayPort 2.1", "1x HDMI 2.1"],
+        power_connectors: ["2x 8-pin"],
       },
     },
     {
@@ -225,6 +238,7 @@ async function seedGpuSpecs() {
         tdp: 165,
         length: 267,
         ports: ["3x DisplayPort 2.1", "1x HDMI 2.1"],
+        power_connectors: ["1x 8-pin"],
       },
     },
     {
@@ -237,6 +251,7 @@ async function seedGpuSpecs() {
         tdp: 75,
         length: 229,
         ports: ["1x HDMI 2.0b", "1x DisplayPort 1.4", "1x DVI-D"],
+        power_connectors: [],
       },
     },
     {
@@ -249,6 +264,7 @@ async function seedGpuSpecs() {
         tdp: 185,
         length: 241,
         ports: ["1x HDMI 2.0", "3x DisplayPort 1.4"],
+        power_connectors: ["1x 8-pin"],
       },
     },
     {
@@ -261,6 +277,7 @@ async function seedGpuSpecs() {
         tdp: 225,
         length: 267,
         ports: ["2x DisplayPort 2.0", "1x HDMI 2.1", "1x USB-C"],
+        power_connectors: ["1x 8-pin", "1x 6-pin"],
       },
     },
     {
@@ -273,6 +290,7 @@ async function seedGpuSpecs() {
         tdp: 115,
         length: 242,
         ports: ["1x HDMI 2.1", "3x DisplayPort 1.4a"],
+        power_connectors: [],
       },
     },
     {
@@ -285,6 +303,7 @@ async function seedGpuSpecs() {
         tdp: 130,
         length: 242,
         ports: ["1x HDMI 2.1", "3x DisplayPort 1.4a"],
+        power_connectors: ["1x 8-pin"],
       },
     },
   ];
@@ -308,6 +327,7 @@ async function seedGpuSpecs() {
         tdp: Number(s.tdp),
         length: Number(s.length),
         ports: s.ports,
+        power_connectors: s.power_connectors || [], // e.g. ["2x 8-pin"], [] = slot powered
       };
     })
     .filter(Boolean);
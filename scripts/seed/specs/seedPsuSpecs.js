@@ -85,6 +85,7 @@ async function seedPsuSpecs() {
         efficiency_rating: "80+ Gold",
         modular: "Fully Modular",
         form_factor: "ATX",
+        pcie_connectors: ["1x 12V-2x6", "4x 8-pin"],
       },
     },
     {
@@ -94,6 +95,7 @@ async function seedPsuSpecs() {
         efficiency_rating: "80+ Gold",
         modular: "Fully Modular",
         form_factor: "ATX",
+        pcie_connectors: ["6x 8-pin"],
       },
     },
     {
@@ -103,6 +105,7 @@ async function seedPsuSpecs() {
         efficiency_rating: "80+ Gold",
         modular: "Fully Modular",
         form_factor: "ATX",
+        pcie_connectors: ["6x 8-pin"],
       },
     },
     {
@@ -112,6 +115,7 @@ async function seedPsuSpecs() {
         efficiency_rating: "80+ Gold",
         modular: "Fully Modular",
         form_factor: "ATX",
+        pcie_connectors: ["1x 12VHPWR", "6x 8-pin"],
       },
     },
     {
@@ -121,6 +125,7 @@ async function seedPsuSpecs() {
         efficiency_rating: "80+ Platinum",
         modular: "Fully Modular",
         form_factor: "ATX",
+        pcie_connectors: ["1x 12V-2x6", "6x 8-pin"],
       },
     },
     {
@@ -130,6 +135,7 @@ async function seedPsuSpecs() {
         efficiency_rating: "80+ Titanium",
         modular: "Fully Modular",
         form_factor: "ATX",
+        pcie_connectors: ["6x 8-pin"],
       },
     },
     {
@@ -139,6 +145,7 @@ async function seedPsuSpecs() {
         efficiency_rating: "80+ Platinum",
         modular: "Fully Modular",
         form_factor: "ATX",
+        pcie_connectors: ["1x 12VHPWR", "6x 8-pin"],
       },
     },
 
@@ -150,6 +157,7 @@ async function seedPsuSpecs() {
         efficiency_rating: "80+ Gold",
         modular: "Fully Modular",
         form_factor: "ATX",
+        pcie_connectors: ["1x 12V-2x6", "3x 8-pin"],
       },
     },
     {
@@ -159,6 +167,7 @@ async function seedPsuSpecs() {
         efficiency_rating: "80+ Gold",
         modular: "Fully Modular",
         form_factor: "ATX",
+        pcie_connectors: ["4x 8-pin"],
       },
     },
     {
@@ -168,6 +177,7 @@ async function seedPsuSpecs() {
         efficiency_rating: "80+ Gold",
         modular: "Fully Modular",
         form_factor: "ATX",
+        pcie_connectors: ["4x 8-pin"],
       },
     },
     {
@@ -177,6 +187,7 @@ async function seedPsuSpecs() {
         efficiency_rating: "80+ Gold",
         modular: "Fully Modular",
         form_factor: "ATX",
+        pcie_connectors: ["1x 12VHPWR", "2x 8-pin"],
       },
     },
     {
@@ -186,6 +197,7 @@ async function seedPsuSpecs() {
         efficiency_rating: "80+ Gold",
         modular: "Fully Modular",
         form_factor: "ATX",
+        pcie_connectors: ["4x 8-pin"],
       },
     },
     {
@@ -195,6 +207,7 @@ async function seedPsuSpecs() {
         efficiency_rating: "80+ Gold",
         modular: "Semi-Modular",
         form_factor: "ATX",
+        pcie_connectors: ["4x 8-pin"],
       },
     },
     {
@@ -204,6 +217,7 @@ async function seedPsuSpecs() {
         efficiency_rating: "80+ Gold",
         modular: "Fully Modular",
         form_factor: "ATX",
+        pcie_connectors: ["2x 8-pin"],
       },
     },
     {
@@ -213,6 +227,7 @@ async function seedPsuSpecs() {
         efficiency_rating: "80+ Bronze",
         modular: "Non-Modular",
         form_factor: "ATX",
+        pcie_connectors: ["2x 8-pin"],
       },
     },
     {
@@ -222,6 +237,7 @@ async function seedPsuSpecs() {
         efficiency_rating: "80+ Bronze",
         modular: "Non-Modular",
         form_factor: "ATX",
+        pcie_connectors: ["2x 8-pin"],
       },
     },
     {
@@ -231,6 +247,7 @@ async function seedPsuSpecs() {
         efficiency_rating: "Standard",
         modular: "Non-Modular",
         form_factor: "ATX",
+        pcie_connectors: ["2x 8-pin"],
       },
     },
     {
@@ -240,6 +257,7 @@ async function seedPsuSpecs() {
         efficiency_rating: "80+ Bronze",
         modular: "Non-Modular",
         form_factor: "ATX",
+        pcie_connectors: ["2x 8-pin"],
       },
     },
   ];
@@ -264,6 +282,7 @@ async function seedPsuSpecs() {
         efficiency_level: level,
         modular: normalizeModular(s.modular),
         form_factor: normalizeUpper(s.form_factor),
+        pcie_connectors: s.pcie_connectors || [], // GPU power cables provided
       };
     })
     .filter(Boolean);
@@ -1,5 +1,7 @@
 import { supabaseAdmin as supabase } from "../supabaseAdmin.js";
 import { updateOrderStatusDB } from "../models/orderModel.js";
+import * as ChipsetSupportModel from "../models/chipsetSupportModel.js";
+import { SUPPORT_LEVELS, listChipsetSupport } from "../utils/chipsetSupport.js";
 
 /* ============================================================================
    ADMIN — USER MANAGEMENT
@@ -297,3 +299,80 @@ export const adminUpdateUserStatus = async (req, res) => {
     return res.status(500).json({ error: "Server error" });
   }
 };
+
+/* ============================================================================
+   ADMIN — CHIPSET ↔ CPU GENERATION SUPPORT
+============================================================================ */
+
+/**
+ * Effective support table (built-in defaults merged with admin entries) plus
+ * the admin entries themselves (with ids for editing / deleting).
+ */
+export const adminGetChipsetSupport = async (req, res) => {
+  try {
+    const entries = await ChipsetSupportModel.loadChipsetSupport();
+
+    return res.json({
+      success: true,
+      support_levels: SUPPORT_LEVELS,
+      table: listChipsetSupport(),
+      entries,
+    });
+  } catch (err) {
+    console.error("adminGetChipsetSupport:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * Create or update the entry for a chipset + CPU generation.
+ * Body: { chipset, cpu_generation, support, note? }
+ */
+export const adminUpsertChipsetSupport = async (req, res) => {
+  try {
+    const { chipset, cpu_generation, support, note } = req.body || {};
+
+    if (!chipset || !cpu_generation) {
+      return res
+        .status(400)
+        .json({ error: "chipset and cpu_generation are required" });
+    }
+
+    if (!SUPPORT_LEVELS.includes(support)) {
+      return res.status(400).json({
+        error: "Invalid support level",
+        allowed: SUPPORT_LEVELS,
+      });
+    }
+
+    const entry = await ChipsetSupportModel.upsertChipsetSupport({
+      chipset,
+      cpu_generation,
+      support,
+      note: note || null,
+    });
+
+    return res.json({ success: true, entry });
+  } catch (err) {
+    console.error("adminUpsertChipsetSupport:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * Delete an admin entry (the built-in default, if any, applies again).
+ */
+export const adminDeleteChipsetSupport = async (req, res) => {
+  try {
+    const removed = await ChipsetSupportModel.deleteChipsetSupport(
+      req.params.id
+    );
+
+    if (!removed) return res.status(404).json({ error: "Entry not found" });
+
+    return res.json({ success: true, entry: removed });
+  } catch (err) {
+    console.error("adminDeleteChipsetSupport:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
@@ -1,6 +1,39 @@
 // src/controllers/authController.js
 import { supabase } from "../services/supabaseClient.js";
 import { supabaseAdmin } from "../supabaseAdmin.js";
+import * as BuilderModel from "../models/builderModel.js";
+import * as BuildMerge from "../utils/buildMerge.js";
+
+/* ============================================================================
+   GUEST BUILD MERGE (login / signup with `guest_token`)
+============================================================================ */
+const guestMergePolicy = (body) =>
+  body?.merge_policy || BuildMerge.DEFAULT_MERGE_POLICY;
+
+// Never fails the login: a broken merge leaves the guest build in place
+const claimGuestBuild = async (userId, body) => {
+  if (!body?.guest_token) return null;
+
+  try {
+    const merged = await BuilderModel.mergeGuestIntoAccount(
+      userId,
+      body.guest_token,
+      guestMergePolicy(body)
+    );
+
+    return merged
+      ? { merged: true, draft_id: merged.draft_id, conflicts: merged.conflicts }
+      : { merged: false, conflicts: [] };
+  } catch (err) {
+    console.error("claimGuestBuild:", err.message);
+    return { merged: false, error: "Guest build could not be merged" };
+  }
+};
+
+const invalidMergePolicy = (body) =>
+  !BuildMerge.MERGE_POLICIES.includes(guestMergePolicy(body))
+    ? `merge_policy must be one of: ${BuildMerge.MERGE_POLICIES.join(", ")}`
+    : null;
 
 /* ============================================================================
    SIGNUP
@@ -12,6 +45,9 @@ export const signup = async (req, res) => {
     if (!email || !password || !full_name)
       return res.status(400).json({ error: "Missing fields" });
 
+    const policyError = invalidMergePolicy(req.body);
+    if (policyError) return res.status(400).json({ error: policyError });
+
     const { data, error } = await supabase.auth.signUp({
       email,
       password,
@@ -29,9 +65,12 @@ export const signup = async (req, res) => {
       .eq("id", data.user.id)
       .single();
 
+    const guestMerge = await claimGuestBuild(data.user.id, req.body);
+
     return res.json({
       success: true,
       user: profile || data.user,
+      ...(guestMerge && { guest_merge: guestMerge }),
     });
   } catch (err) {
     return res.status(400).json({ error: err.message });
@@ -45,6 +84,9 @@ export const login = async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    const policyError = invalidMergePolicy(req.body);
+    if (policyError) return res.status(400).json({ error: policyError });
+
     const { data, error } = await supabase.auth.signInWithPassword({
       email,
       password,
@@ -58,11 +100,14 @@ export const login = async (req, res) => {
       .eq("id", data.user.id)
       .single();
 
+    const guestMerge = await claimGuestBuild(data.user.id, req.body);
+
     return res.json({
       success: true,
       token: data.session.access_token,
       refresh_token: data.session.refresh_token,
       user: profile,
+      ...(guestMerge && { guest_merge: guestMerge }),
     });
   } catch (err) {
     return res.status(400).json({ error: err.message });
@@ -1,12 +1,26 @@
 // src/controllers/builderController.js
 // -----------------------------------------------------------------------------
-// PC Builder system: components, temporary build workspace, compatibility
-// checks, saved builds, auto-builder tools, and admin build overview.
+// PC Builder system: components, temporary build workspace (and named
+// drafts), compatibility checks, saved builds, auto-builder tools, and admin
+// build overview.
 // -----------------------------------------------------------------------------
 
 import * as BuilderModel from "../models/builderModel.js";
 import * as Compatibility from "../utils/compatibility.js";
 import * as AutoBuilder from "../utils/autoBuilder.js";
+import * as PowerModel from "../utils/powerModel.js";
+import * as BuildSlots from "../utils/buildSlots.js";
+import * as Balance from "../utils/balanceAnalysis.js";
+import {
+  compareBuilds as compareExpandedBuilds,
+  diffBuildComponents,
+} from "../utils/buildCompare.js";
+import * as BuildExport from "../utils/buildExport.js";
+import * as PartMatcher from "../utils/partMatcher.js";
+import * as PriceDrift from "../utils/priceDrift.js";
+import * as BuildMerge from "../utils/buildMerge.js";
+import * as Substitution from "../utils/substitution.js";
+import { DEFAULT_DRAFT, isDraftId } from "../middleware/draftMiddleware.js";
 
 /** Allowed component categories for the builder */
 const ALLOWED_CATEGORIES = [
@@ -18,6 +32,7 @@ const ALLOWED_CATEGORIES = [
   "case",
   "cpu_cooler",
   "storage",
+  "case_fan",
 ];
 
 /* ============================================================================
@@ -40,9 +55,24 @@ const ensureUser = (req, res) => {
   return true;
 };
 
+// Temp build owner: the signed-in user, or the guest from requireUserOrGuest
+const tempOwner = (req) => req.user?.id ?? { guestToken: req.guestToken };
+
+// Helper — validate user or guest (temp build routes)
+const ensureTempOwner = (req, res) => {
+  if (!req.user?.id && !req.guestToken) {
+    res.status(401).json({
+      success: false,
+      error: "Missing authentication or guest token",
+    });
+    return false;
+  }
+  return true;
+};
+
 export const getComponents = async (req, res) => {
   try {
-    if (!ensureUser(req, res)) return;
+    if (!ensureTempOwner(req, res)) return;
 
     const category = req.query.category;
 
@@ -56,7 +86,7 @@ export const getComponents = async (req, res) => {
       });
     }
 
-    const temp = await BuilderModel.getTempBuild(req.user.id);
+    const temp = await BuilderModel.getTempBuild(tempOwner(req), req.draftId);
     const expanded = await BuilderModel.expandComponents(temp.components || {});
     const candidates = await BuilderModel.getComponentsWithSpecs(category);
 
@@ -86,25 +116,109 @@ export const getComponents = async (req, res) => {
   }
 };
 
+/**
+ * Explain mode for the picker: EVERY candidate in a category, annotated with
+ * its status against the current temp build and the engine's reasons, so the
+ * UI can grey parts out instead of hiding them.
+ *
+ * status: "compatible" | "warning" | "incompatible" | "unavailable"
+ */
+export const explainComponents = async (req, res) => {
+  try {
+    if (!ensureTempOwner(req, res)) return;
+
+    const category = req.query.category;
+
+    if (!category)
+      return res.status(400).json({ error: "category query required" });
+
+    if (!ALLOWED_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        error: "invalid category",
+        allowed: ALLOWED_CATEGORIES,
+      });
+    }
+
+    const temp = await BuilderModel.getTempBuild(tempOwner(req), req.draftId);
+    const expanded = await BuilderModel.expandComponents(temp.components || {});
+    const candidates = await BuilderModel.getComponentsWithSpecs(category);
+
+    const counts = {
+      compatible: 0,
+      warning: 0,
+      incompatible: 0,
+      unavailable: 0,
+    };
+
+    const components = candidates.map((c) => {
+      const issues = Compatibility.collectComponentIssues(expanded, category, {
+        ...c,
+        category,
+      });
+
+      const unavailable =
+        c.status !== "active" || (c.stock !== null && c.stock <= 0);
+      const hasError = issues.some(
+        (i) => i.severity === Compatibility.SEVERITY.ERROR
+      );
+      const hasWarning = issues.some(
+        (i) => i.severity === Compatibility.SEVERITY.WARNING
+      );
+
+      let status = "compatible";
+      if (unavailable) status = "unavailable";
+      else if (hasError) status = "incompatible";
+      else if (hasWarning) status = "warning";
+
+      counts[status] += 1;
+
+      return {
+        ...c,
+        compatibility: {
+          status,
+          selectable: status === "compatible" || status === "warning",
+          reasons: [
+            ...(unavailable
+              ? [c.status !== "active" ? "Not available" : "Out of stock"]
+              : []),
+            ...issues.map((i) => i.message),
+          ],
+          issues,
+        },
+      };
+    });
+
+    return res.json({ category, components, counts });
+  } catch (err) {
+    console.error("explainComponents:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
 /* ============================================================================
     BUILDER — TEMPORARY BUILD
   ============================================================================ */
 
 /**
  * Get the user's current temporary build (workspace).
+ * Includes the full compatibility report (every issue, not just the first).
  */
 export const getTempBuild = async (req, res) => {
   try {
-    if (!ensureUser(req, res)) return;
+    if (!ensureTempOwner(req, res)) return;
 
-    const temp = await BuilderModel.getTempBuild(req.user.id);
+    const temp = await BuilderModel.getTempBuild(tempOwner(req), req.draftId);
     const build = await BuilderModel.expandComponents(temp.components || {});
     const summary = BuilderModel.buildSummary(build);
+    const compatibility = Compatibility.checkWholeBuild(build);
 
     return res.json({
       build,
       summary,
+      compatibility,
       source_build_id: temp.components.__source_build_id || null,
+      draft_id: req.draftId || DEFAULT_DRAFT,
+      history: { undo: temp.undo_count || 0, redo: temp.redo_count || 0 },
     });
   } catch (err) {
     console.error("getTempBuild:", err.message);
@@ -114,12 +228,14 @@ export const getTempBuild = async (req, res) => {
 
 /**
  * Add a component to the temporary build.
+ * Multi-quantity categories (memory, storage, case_fan) add `quantity` units
+ * (default 1) next to the parts already listed; others replace the slot.
  */
 export const addToTempBuild = async (req, res) => {
   try {
-    if (!ensureUser(req, res)) return;
+    if (!ensureTempOwner(req, res)) return;
 
-    const { category, componentId } = req.body;
+    const { category, componentId, quantity = 1 } = req.body;
 
     if (!category || !componentId) {
       return res
@@ -134,11 +250,29 @@ export const addToTempBuild = async (req, res) => {
       });
     }
 
+    const isMulti = BuildSlots.isMultiCategory(category);
+    const units = Number(quantity);
+
+    if (
+      !Number.isInteger(units) ||
+      units < 1 ||
+      units > BuildSlots.MAX_QUANTITY ||
+      (!isMulti && units !== 1)
+    ) {
+      return res.status(400).json({
+        error: isMulti
+          ? `quantity must be 1-${BuildSlots.MAX_QUANTITY}`
+          : `quantity is only supported for ${BuildSlots.MULTI_CATEGORIES.join(
+              ", "
+            )}`,
+      });
+    }
+
     const component = await BuilderModel.getComponentWithSpecsById(componentId);
     if (!component)
       return res.status(404).json({ error: "component not found" });
 
-    const temp = await BuilderModel.getTempBuild(req.user.id);
+    const temp = await BuilderModel.getTempBuild(tempOwner(req), req.draftId);
 
     // ⭐ FIX: initialize components correctly
     if (!temp.components || typeof temp.components !== "object") {
@@ -150,166 +284,1229 @@ export const addToTempBuild = async (req, res) => {
     const isOk = Compatibility.checkComponentAgainstBuild(expanded, category, {
       ...component,
       category,
+      quantity: units,
     });
 
     if (!isOk.ok) {
       return res.status(400).json({
         error: "Incompatible component",
         reason: isOk.reason,
+        code: isOk.code,
       });
     }
 
     // ⭐ FIX: safe add / replace
-    temp.components[category] = componentId;
+    if (isMulti) {
+      const entries = BuildSlots.addToSlot(
+        temp.components[category],
+        componentId,
+        units
+      );
+
+      if (entries.some((e) => e.quantity > BuildSlots.MAX_QUANTITY)) {
+        return res.status(400).json({
+          error: `quantity must be 1-${BuildSlots.MAX_QUANTITY}`,
+        });
+      }
+
+      temp.components[category] = entries;
+    } else {
+      temp.components[category] = componentId;
+    }
+
+    await BuilderModel.upsertTempBuild(
+      tempOwner(req),
+      temp.components,
+      req.draftId
+    );
+
+    const detailed = await BuilderModel.expandComponents(temp.components);
+    const summary = BuilderModel.buildSummary(detailed);
+
+    return res.json({ build: detailed, summary });
+  } catch (err) {
+    console.error("addToTempBuild:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * Remove a component from the temporary build.
+ * With `componentId`, only that part is dropped from a multi-quantity slot.
+ */
+export const removeFromTempBuild = async (req, res) => {
+  try {
+    if (!ensureTempOwner(req, res)) return;
+
+    const { category, componentId } = req.body;
+
+    if (!category)
+      return res.status(400).json({ error: "category is required" });
+
+    if (!ALLOWED_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        error: "invalid category",
+        allowed: ALLOWED_CATEGORIES,
+      });
+    }
 
-    await BuilderModel.upsertTempBuild(req.user.id, temp.components);
+    const temp = await BuilderModel.getTempBuild(tempOwner(req), req.draftId);
+
+    if (componentId && BuildSlots.isMultiCategory(category)) {
+      const entries = BuildSlots.removeFromSlot(
+        temp.components[category],
+        componentId
+      );
+
+      if (entries.length) temp.components[category] = entries;
+      else delete temp.components[category];
+    } else {
+      delete temp.components[category];
+    }
+
+    await BuilderModel.upsertTempBuild(
+      tempOwner(req),
+      temp.components,
+      req.draftId
+    );
 
     const detailed = await BuilderModel.expandComponents(temp.components);
     const summary = BuilderModel.buildSummary(detailed);
 
     return res.json({ build: detailed, summary });
   } catch (err) {
-    console.error("addToTempBuild:", err.message);
+    console.error("removeFromTempBuild:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * Reset temporary build (clears everything; undoable).
+ */
+export const resetTempBuild = async (req, res) => {
+  try {
+    if (!ensureTempOwner(req, res)) return;
+
+    await BuilderModel.resetTempBuild(tempOwner(req), req.draftId);
+
+    return res.json({
+      success: true,
+      build: {},
+      summary: BuilderModel.buildSummary({}),
+    });
+  } catch (err) {
+    console.error("resetTempBuild:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+/* ============================================================================
+    BUILDER — TEMP BUILD UNDO / REDO
+  ============================================================================ */
+
+// Step the temp build history and respond like getTempBuild
+const stepTempBuild = async (req, res, direction) => {
+  const step = await BuilderModel.stepTempBuild(
+    tempOwner(req),
+    direction,
+    req.draftId
+  );
+
+  if (!step) {
+    return res.status(409).json({ error: `Nothing to ${direction}` });
+  }
+
+  const components = step.components || {};
+  const build = await BuilderModel.expandComponents(components);
+
+  return res.json({
+    build,
+    summary: BuilderModel.buildSummary(build),
+    compatibility: Compatibility.checkWholeBuild(build),
+    source_build_id: components.__source_build_id || null,
+    draft_id: req.draftId || DEFAULT_DRAFT,
+    history: { undo: step.undo_count, redo: step.redo_count },
+  });
+};
+
+/**
+ * Undo the last temp build change (add, remove, reset, autobuild, ...).
+ */
+export const undoTempBuild = async (req, res) => {
+  try {
+    if (!ensureTempOwner(req, res)) return;
+    return await stepTempBuild(req, res, "undo");
+  } catch (err) {
+    console.error("undoTempBuild:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * Re-apply the last undone temp build change.
+ */
+export const redoTempBuild = async (req, res) => {
+  try {
+    if (!ensureTempOwner(req, res)) return;
+    return await stepTempBuild(req, res, "redo");
+  } catch (err) {
+    console.error("redoTempBuild:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+/* ============================================================================
+    BUILDER — GUEST BUILDS
+  ============================================================================ */
+
+/**
+ * Start a guest temp build (no account). The client sends the returned
+ * token as `x-guest-token` on temp build routes, and as `guest_token` on
+ * login / signup to keep the build.
+ */
+export const createGuestSession = async (req, res) => {
+  try {
+    const guestToken = await BuilderModel.createGuestBuild();
+    return res.status(201).json({ guest_token: guestToken });
+  } catch (err) {
+    console.error("createGuestSession:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * Merge a guest build into the signed-in user's active draft.
+ * Body: { guest_token, policy? } — policy "account" | "guest" | "replace"
+ */
+export const mergeGuestBuild = async (req, res) => {
+  try {
+    if (!ensureUser(req, res)) return;
+
+    const { guest_token } = req.body || {};
+    const policy = req.body?.policy || BuildMerge.DEFAULT_MERGE_POLICY;
+
+    if (!BuilderModel.isGuestToken(guest_token)) {
+      return res.status(400).json({ error: "Invalid guest_token" });
+    }
+
+    if (!BuildMerge.MERGE_POLICIES.includes(policy)) {
+      return res.status(400).json({
+        error: `policy must be one of: ${BuildMerge.MERGE_POLICIES.join(", ")}`,
+      });
+    }
+
+    const merged = await BuilderModel.mergeGuestIntoAccount(
+      req.user.id,
+      guest_token,
+      policy
+    );
+
+    const draftId = merged
+      ? merged.draft_id
+      : await BuilderModel.getActiveDraftId(req.user.id);
+
+    const temp = await BuilderModel.getTempBuild(req.user.id, draftId);
+    const build = await BuilderModel.expandComponents(temp.components);
+
+    return res.json({
+      merged: !!merged,
+      policy,
+      conflicts: merged?.conflicts || [],
+      draft_id: draftId || DEFAULT_DRAFT,
+      build,
+      summary: BuilderModel.buildSummary(build),
+    });
+  } catch (err) {
+    console.error("mergeGuestBuild:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+/* ============================================================================
+    BUILDER — IMPORT PARTS LIST
+  ============================================================================ */
+
+const MAX_IMPORT_LENGTH = 20000;
+
+/**
+ * Import a pasted parts list (free text or CSV) into the temp build.
+ * Body: { text, format?: "auto" | "text" | "csv", mode?: "replace" | "merge" }
+ * "replace" (default) starts from an empty build; "merge" keeps the current
+ * parts and overwrites / adds the matched ones. Reports each line's match and
+ * confidence plus the lines that couldn't be matched; near misses (e.g. a
+ * 7600X line vs a 7600 in the catalog) come back as a `suggestion` only.
+ */
+export const importBuild = async (req, res) => {
+  try {
+    if (!ensureUser(req, res)) return;
+
+    const { text, format = "auto", mode = "replace" } = req.body || {};
+
+    if (typeof text !== "string" || !text.trim()) {
+      return res.status(400).json({ error: "text is required" });
+    }
+
+    if (text.length > MAX_IMPORT_LENGTH) {
+      return res.status(400).json({
+        error: `text is limited to ${MAX_IMPORT_LENGTH} characters`,
+      });
+    }
+
+    if (!["auto", "text", "csv"].includes(format)) {
+      return res.status(400).json({
+        error: "Invalid format",
+        allowed: ["auto", "text", "csv"],
+      });
+    }
+
+    if (!["replace", "merge"].includes(mode)) {
+      return res.status(400).json({
+        error: "Invalid mode",
+        allowed: ["replace", "merge"],
+      });
+    }
+
+    const catalog = (await BuilderModel.getCatalogForMatching()).filter((c) =>
+      ALLOWED_CATEGORIES.includes(c.category)
+    );
+
+    const { lines, unmatched } = PartMatcher.matchPartsList(
+      text,
+      catalog,
+      format
+    );
+
+    const matched = lines.filter((l) => l.match);
+
+    if (!matched.length) {
+      return res.status(400).json({
+        error: "No parts could be matched",
+        lines,
+        unmatched,
+      });
+    }
+
+    const temp = await BuilderModel.getTempBuild(req.user.id, req.draftId);
+    const components = mode === "merge" ? { ...temp.components } : {};
+
+    for (const { match, quantity } of matched) {
+      const { category, component_id } = match;
+
+      if (BuildSlots.isMultiCategory(category)) {
+        const entries = BuildSlots.addToSlot(
+          components[category],
+          component_id,
+          quantity
+        );
+
+        // same cap as addToTempBuild
+        components[category] = entries.map((e) => ({
+          ...e,
+          quantity: Math.min(e.quantity, BuildSlots.MAX_QUANTITY),
+        }));
+      } else {
+        components[category] = component_id;
+      }
+    }
+
+    await BuilderModel.upsertTempBuild(req.user.id, components, req.draftId);
+
+    const build = await BuilderModel.expandComponents(components);
+
+    return res.json({
+      build,
+      summary: BuilderModel.buildSummary(build),
+      compatibility: Compatibility.checkWholeBuild(build),
+      lines,
+      unmatched,
+    });
+  } catch (err) {
+    console.error("importBuild:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+/* ============================================================================
+    BUILDER — POWER ESTIMATE
+  ============================================================================ */
+
+/**
+ * Estimate power draw: per-part watts, sustained vs peak load and a
+ * recommended PSU wattage. Uses `components` ({ category: componentId }, or a
+ * list of { id, quantity } for multi-quantity categories) from the body, or
+ * the user's temp build when omitted.
+ */
+export const powerEstimate = async (req, res) => {
+  try {
+    if (!ensureTempOwner(req, res)) return;
+
+    let components = req.body?.components;
+
+    if (components == null) {
+      const temp = await BuilderModel.getTempBuild(tempOwner(req), req.draftId);
+      components = temp.components || {};
+    } else if (typeof components !== "object" || Array.isArray(components)) {
+      return res
+        .status(400)
+        .json({ error: "components must be a category → componentId map" });
+    }
+
+    const invalid = Object.keys(components).filter(
+      (c) => !c.startsWith("__") && !ALLOWED_CATEGORIES.includes(c)
+    );
+
+    if (invalid.length) {
+      return res.status(400).json({
+        error: "invalid category",
+        invalid,
+        allowed: ALLOWED_CATEGORIES,
+      });
+    }
+
+    const expanded = await BuilderModel.expandComponents(components);
+    const estimate = PowerModel.estimatePower(expanded);
+
+    return res.json(estimate);
+  } catch (err) {
+    console.error("powerEstimate:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+/* ============================================================================
+    BUILDER — DRAFTS (named temp builds)
+  ============================================================================ */
+
+const DEFAULT_DRAFT_NAME = "Current build";
+const MAX_DRAFT_NAME = 60;
+
+// Trimmed draft name, or null when empty / too long
+const draftName = (value) => {
+  const name = typeof value === "string" ? value.trim() : "";
+  return name && name.length <= MAX_DRAFT_NAME ? name : null;
+};
+
+// Number of filled slots (markers like __source_build_id skipped)
+const partCount = (components = {}) =>
+  Object.entries(components || {}).filter(
+    ([category, value]) =>
+      !category.startsWith("__") && BuildSlots.slotEntries(value).length
+  ).length;
+
+const describeDraft = (draft, activeId) => ({
+  id: draft.id,
+  name: draft.name,
+  is_default: false,
+  is_active: draft.id === activeId,
+  part_count: partCount(draft.components),
+  created_at: draft.created_at,
+  updated_at: draft.updated_at,
+});
+
+/**
+ * List the user's drafts: the default draft first, then named drafts.
+ */
+export const listDrafts = async (req, res) => {
+  try {
+    if (!ensureUser(req, res)) return;
+
+    const [temp, drafts, activeId] = await Promise.all([
+      BuilderModel.getTempBuild(req.user.id),
+      BuilderModel.getDrafts(req.user.id),
+      BuilderModel.getActiveDraftId(req.user.id),
+    ]);
+
+    return res.json({
+      active_draft_id: activeId || DEFAULT_DRAFT,
+      drafts: [
+        {
+          id: DEFAULT_DRAFT,
+          name: DEFAULT_DRAFT_NAME,
+          is_default: true,
+          is_active: !activeId,
+          part_count: partCount(temp.components),
+        },
+        ...drafts.map((d) => describeDraft(d, activeId)),
+      ],
+    });
+  } catch (err) {
+    console.error("listDrafts:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * Create a named draft.
+ * Body: { name, copy_from?: draftId | "default", activate?: boolean }
+ */
+export const createDraft = async (req, res) => {
+  try {
+    if (!ensureUser(req, res)) return;
+
+    const { copy_from, activate = false } = req.body || {};
+    const name = draftName(req.body?.name);
+
+    if (!name) {
+      return res.status(400).json({
+        error: `name is required (max ${MAX_DRAFT_NAME} characters)`,
+      });
+    }
+
+    const existing = await BuilderModel.getDrafts(req.user.id);
+    if (existing.length >= BuilderModel.MAX_DRAFTS) {
+      return res.status(400).json({
+        error: `You can keep up to ${BuilderModel.MAX_DRAFTS} drafts`,
+      });
+    }
+
+    let components = {};
+
+    if (copy_from === DEFAULT_DRAFT) {
+      components = (await BuilderModel.getTempBuild(req.user.id)).components;
+    } else if (copy_from) {
+      const source = existing.find((d) => String(d.id) === String(copy_from));
+      if (!source) return res.status(404).json({ error: "draft not found" });
+      components = source.components || {};
+    }
+
+    const draft = await BuilderModel.createDraft(req.user.id, name, components);
+
+    if (activate) await BuilderModel.setActiveDraft(req.user.id, draft.id);
+
+    return res.status(201).json({
+      draft: describeDraft(draft, activate ? draft.id : null),
+    });
+  } catch (err) {
+    console.error("createDraft:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * Make a draft the one the temp build routes work on by default.
+ * `:id` may be "default" to go back to the default draft.
+ */
+export const switchDraft = async (req, res) => {
+  try {
+    if (!ensureUser(req, res)) return;
+
+    const id = req.params.id;
+    let draftId = null;
+
+    if (id !== DEFAULT_DRAFT) {
+      if (!isDraftId(id)) {
+        return res.status(404).json({ error: "draft not found" });
+      }
+
+      const draft = await BuilderModel.getDraftById(req.user.id, id);
+      if (!draft) return res.status(404).json({ error: "draft not found" });
+      draftId = draft.id;
+    }
+
+    await BuilderModel.setActiveDraft(req.user.id, draftId);
+
+    const temp = await BuilderModel.getTempBuild(req.user.id, draftId);
+    const build = await BuilderModel.expandComponents(temp.components);
+
+    return res.json({
+      active_draft_id: draftId || DEFAULT_DRAFT,
+      build,
+      summary: BuilderModel.buildSummary(build),
+    });
+  } catch (err) {
+    console.error("switchDraft:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * Rename a named draft. Body: { name }
+ */
+export const renameDraft = async (req, res) => {
+  try {
+    if (!ensureUser(req, res)) return;
+
+    if (req.params.id === DEFAULT_DRAFT) {
+      return res
+        .status(400)
+        .json({ error: "The default draft cannot be renamed" });
+    }
+
+    const name = draftName(req.body?.name);
+    if (!name) {
+      return res.status(400).json({
+        error: `name is required (max ${MAX_DRAFT_NAME} characters)`,
+      });
+    }
+
+    if (!isDraftId(req.params.id)) {
+      return res.status(404).json({ error: "draft not found" });
+    }
+
+    const draft = await BuilderModel.renameDraft(
+      req.user.id,
+      req.params.id,
+      name
+    );
+    if (!draft) return res.status(404).json({ error: "draft not found" });
+
+    return res.json({
+      draft: describeDraft(draft, draft.is_active ? draft.id : null),
+    });
+  } catch (err) {
+    console.error("renameDraft:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * Delete a named draft. Deleting the active draft falls back to the default.
+ */
+export const deleteDraft = async (req, res) => {
+  try {
+    if (!ensureUser(req, res)) return;
+
+    if (req.params.id === DEFAULT_DRAFT) {
+      return res.status(400).json({
+        error: "The default draft cannot be deleted (reset it instead)",
+      });
+    }
+
+    if (!isDraftId(req.params.id)) {
+      return res.status(404).json({ error: "draft not found" });
+    }
+
+    const removed = await BuilderModel.deleteDraft(req.user.id, req.params.id);
+    if (!removed) return res.status(404).json({ error: "draft not found" });
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("deleteDraft:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+/* ============================================================================
+    BUILDER — CPU ↔ GPU BALANCE
+  ============================================================================ */
+
+// Validate ?use_case & ?resolution, then analyze the stored components
+const balanceResponse = async (req, res, components) => {
+  const useCase = req.query.use_case || Balance.DEFAULT_USE_CASE;
+  const resolution = req.query.resolution || Balance.DEFAULT_RESOLUTION;
+
+  if (!Balance.isUseCase(useCase)) {
+    return res.status(400).json({
+      error: "Invalid use_case",
+      allowed: Object.keys(Balance.USE_CASES),
+    });
+  }
+
+  if (!Balance.resolutionKey(resolution)) {
+    return res.status(400).json({
+      error: "Invalid resolution",
+      allowed: Object.keys(Balance.RESOLUTIONS),
+    });
+  }
+
+  const [expanded, cpus, gpus] = await Promise.all([
+    BuilderModel.expandComponents(components || {}),
+    BuilderModel.getComponentsWithSpecs("cpu"),
+    BuilderModel.getComponentsWithSpecs("gpu"),
+  ]);
+
+  const balance = Balance.analyzeBalance(expanded, {
+    use_case: useCase,
+    resolution,
+    catalog: { cpu: cpus, gpu: gpus },
+  });
+
+  return res.json({ balance });
+};
+
+/**
+ * CPU ↔ GPU balance of the temp build.
+ * Query: ?use_case=gaming|streaming|workstation|basic&resolution=1080p|1440p|4k
+ */
+export const tempBuildBalance = async (req, res) => {
+  try {
+    if (!ensureTempOwner(req, res)) return;
+
+    const temp = await BuilderModel.getTempBuild(tempOwner(req), req.draftId);
+    return await balanceResponse(req, res, temp.components);
+  } catch (err) {
+    console.error("tempBuildBalance:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * CPU ↔ GPU balance of one of the user's saved builds (same query as above).
+ */
+export const savedBuildBalance = async (req, res) => {
+  try {
+    if (!ensureUser(req, res)) return;
+
+    const build = await BuilderModel.getUserBuildById(
+      req.user.id,
+      req.params.id
+    );
+    if (!build) return res.status(404).json({ error: "build not found" });
+
+    return await balanceResponse(req, res, build.components);
+  } catch (err) {
+    console.error("savedBuildBalance:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+/* ============================================================================
+    BUILDER — SAVE / LOAD / MANAGE USER BUILDS
+  ============================================================================ */
+
+// "compatible" | "invalid" | "incomplete" — stored on saved builds
+const savedCompatibilityState = (expanded) => {
+  const isIncomplete = BuildSlots.missingParts(expanded).length > 0;
+
+  const check = Compatibility.checkWholeBuild(expanded);
+
+  if (!check.ok) return "invalid";
+  if (isIncomplete) return "incomplete";
+  return "compatible";
+};
+
+/**
+ * Save current temp build as a user build.
+ */
+export const saveBuild = async (req, res) => {
+  try {
+    if (!ensureUser(req, res)) return;
+
+    const { name } = req.body;
+
+    const temp = await BuilderModel.getTempBuild(req.user.id, req.draftId);
+    const expanded = await BuilderModel.expandComponents(temp.components || {});
+    const summary = BuilderModel.buildSummary(expanded);
+
+    const compatibilityState = savedCompatibilityState(expanded);
+
+    const componentsToSave = { ...temp.components };
+    delete componentsToSave.__source_build_id;
+
+    const saved = await BuilderModel.saveUserBuild(req.user.id, {
+      name: name || "My Build",
+      components: componentsToSave,
+      total_price: summary.total_price,
+      power_usage: summary.power_usage,
+      compatibility: compatibilityState,
+    });
+
+    // ➤ IMPORTANT: CLEAR TEMP AFTER SAVE
+    await BuilderModel.resetTempBuild(req.user.id, req.draftId);
+
+    return res.json({ build: saved });
+  } catch (err) {
+    console.error("saveBuild:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+// Current catalog rows for every part of `builds` (one query) → Map by id
+const driftCatalog = async (builds) => {
+  const ids = [
+    ...new Set(
+      builds.flatMap((b) =>
+        PriceDrift.buildEntries(b.components).map((e) => String(e.id))
+      )
+    ),
+  ];
+
+  const rows = await BuilderModel.getComponentsByIds(ids);
+  return new Map(rows.map((c) => [String(c.id), c]));
+};
+
+/**
+ * Get all builds for the authenticated user.
+ * Each build carries a `price_drift` summary (saved vs current price).
+ */
+export const getUserBuilds = async (req, res) => {
+  try {
+    if (!ensureUser(req, res)) return;
+
+    const builds = await BuilderModel.getUserBuilds(req.user.id);
+    const catalog = await driftCatalog(builds);
+
+    return res.json({
+      builds: builds.map((b) => {
+        const { parts, unavailable, ...drift } = PriceDrift.priceDrift(
+          b,
+          catalog
+        );
+
+        return {
+          ...b,
+          price_drift: { ...drift, unavailable_count: unavailable.length },
+        };
+      }),
+    });
+  } catch (err) {
+    console.error("getUserBuilds:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * Get a single saved build by ID, with its full compatibility report.
+ */
+export const getUserBuildById = async (req, res) => {
+  try {
+    if (!ensureUser(req, res)) return;
+
+    const id = req.params.id;
+
+    const build = await BuilderModel.getUserBuildById(req.user.id, id);
+    if (!build) return res.status(404).json({ error: "build not found" });
+
+    const expanded = await BuilderModel.expandComponents(
+      build.components || {}
+    );
+    const summary = BuilderModel.buildSummary(expanded);
+    const compatibility = Compatibility.checkWholeBuild(expanded);
+    const price_drift = PriceDrift.priceDrift(
+      build,
+      await driftCatalog([build])
+    );
+
+    return res.json({
+      build: { ...build, expanded },
+      summary,
+      compatibility,
+      price_drift,
+    });
+  } catch (err) {
+    console.error("getUserBuildById:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+const EXPORT_FORMAT_ALIASES = { md: "markdown", bb: "bbcode" };
+
+/**
+ * Export a saved build. Query: ?format=json|csv|markdown|bbcode (default
+ * json) and optional &download=true for an attachment filename.
+ */
+export const exportSavedBuild = async (req, res) => {
+  try {
+    if (!ensureUser(req, res)) return;
+
+    const requested = String(req.query.format || "json").toLowerCase();
+    const format = Object.hasOwn(EXPORT_FORMAT_ALIASES, requested)
+      ? EXPORT_FORMAT_ALIASES[requested]
+      : requested;
+
+    if (!Object.hasOwn(BuildExport.EXPORT_FORMATS, format)) {
+      return res.status(400).json({
+        error: "Invalid format",
+        allowed: Object.keys(BuildExport.EXPORT_FORMATS),
+      });
+    }
+
+    const spec = BuildExport.EXPORT_FORMATS[format];
+
+    const build = await BuilderModel.getUserBuildById(
+      req.user.id,
+      req.params.id
+    );
+    if (!build) return res.status(404).json({ error: "build not found" });
+
+    const expanded = await BuilderModel.expandComponents(
+      build.components || {},
+      false
+    );
+
+    const body = BuildExport.exportBuild(format, {
+      build,
+      expanded,
+      summary: BuilderModel.buildSummary(expanded),
+      compatibility: Compatibility.checkWholeBuild(expanded),
+    });
+
+    if (req.query.download === "true") {
+      const base =
+        String(build.name || "build")
+          .replace(/[^a-z0-9]+/gi, "-")
+          .replace(/^-+|-+$/g, "")
+          .toLowerCase() || "build";
+      res.attachment(`${base}.${spec.extension}`);
+    }
+
+    res.type(spec.contentType);
+    return res.send(body);
+  } catch (err) {
+    console.error("exportSavedBuild:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+const MAX_COMPARE = 4;
+
+/**
+ * Compare 2-4 of the user's saved builds side by side.
+ * Query: ?ids=<id>,<id>[,...] (the first build is the baseline for deltas)
+ */
+export const compareBuilds = async (req, res) => {
+  try {
+    if (!ensureUser(req, res)) return;
+
+    const ids = [
+      ...new Set(
+        String(req.query.ids || "")
+          .split(",")
+          .map((id) => id.trim())
+          .filter(Boolean)
+      ),
+    ];
+
+    if (ids.length < 2 || ids.length > MAX_COMPARE) {
+      return res.status(400).json({
+        error: `ids must list 2-${MAX_COMPARE} saved build ids`,
+      });
+    }
+
+    const builds = await Promise.all(
+      ids.map((id) => BuilderModel.getUserBuildById(req.user.id, id))
+    );
+
+    const missing = ids.filter((id, i) => !builds[i]);
+    if (missing.length) {
+      return res.status(404).json({ error: "build not found", missing });
+    }
+
+    const entries = await Promise.all(
+      builds.map(async (build) => {
+        const expanded = await BuilderModel.expandComponents(
+          build.components || {}
+        );
+
+        return {
+          build,
+          expanded,
+          summary: BuilderModel.buildSummary(expanded),
+          compatibility: Compatibility.checkWholeBuild(expanded),
+        };
+      })
+    );
+
+    return res.json(compareExpandedBuilds(entries));
+  } catch (err) {
+    console.error("compareBuilds:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * Re-price a saved build: store the current total, power usage, price
+ * snapshot and compatibility state (recorded as a "reprice" revision).
+ */
+export const repriceBuild = async (req, res) => {
+  try {
+    if (!ensureUser(req, res)) return;
+
+    const build = await BuilderModel.getUserBuildById(
+      req.user.id,
+      req.params.id
+    );
+    if (!build) return res.status(404).json({ error: "build not found" });
+
+    const before = PriceDrift.priceDrift(build, await driftCatalog([build]));
+
+    const expanded = await BuilderModel.expandComponents(
+      build.components || {}
+    );
+    const summary = BuilderModel.buildSummary(expanded);
+
+    const updated = await BuilderModel.updateUserBuild(
+      req.user.id,
+      build.id,
+      {
+        name: build.name,
+        components: build.components,
+        total_price: summary.total_price,
+        power_usage: summary.power_usage,
+        // removed parts drop out of `expanded`, so the state can change too
+        compatibility: savedCompatibilityState(expanded),
+      },
+      { note: "reprice" }
+    );
+
+    return res.json({
+      build: updated,
+      previous_price: before.saved_price,
+      current_price: Number(updated.total_price || 0),
+      unavailable: before.unavailable,
+    });
+  } catch (err) {
+    console.error("repriceBuild:", err.message);
     return res.status(500).json({ error: "Server error" });
   }
 };
 
+/* ============================================================================
+    BUILDER — OUT-OF-STOCK SUBSTITUTION
+  ============================================================================ */
+
+// Substitution proposals for a stored component map (temp or saved build)
+const substitutionProposals = async (components, snapshot) => {
+  const catalog = await driftCatalog([{ components }]);
+  const expanded = await BuilderModel.expandComponents(components);
+  const categories = Substitution.affectedCategories(components, catalog);
+
+  const lists = await Promise.all(
+    categories.map((c) => BuilderModel.getComponentsWithSpecs(c))
+  );
+
+  return Substitution.proposeSubstitutions({
+    components,
+    expanded,
+    catalog,
+    candidates: Object.fromEntries(categories.map((c, i) => [c, lists[i]])),
+    snapshot,
+  });
+};
+
+const isPlainObject = (v) =>
+  v !== null && typeof v === "object" && !Array.isArray(v);
+
+// Component ids arrive as numbers or id strings
+const isComponentId = (v) =>
+  (Number.isInteger(v) && v > 0) || (typeof v === "string" && v.trim() !== "");
+
 /**
- * Remove a component from the temporary build.
+ * Accepted picks from the request body, checked against the proposals.
+ * Body: { substitutions?: [{ component_id, substitute_id? }] } — omitted
+ * accepts every proposal; a missing substitute_id takes the proposed one.
+ * Returns { picks } or { error }.
  */
-export const removeFromTempBuild = async (req, res) => {
-  try {
-    if (!ensureUser(req, res)) return;
-
-    const { category } = req.body;
+const acceptedSubstitutions = (proposals, body) => {
+  const requested = body?.substitutions;
+
+  if (requested === undefined) {
+    return {
+      picks: proposals
+        .filter((p) => p.substitute)
+        .map((p) => ({
+          category: p.category,
+          component_id: p.component_id,
+          substitute_id: p.substitute.component_id,
+        })),
+    };
+  }
 
-    if (!category)
-      return res.status(400).json({ error: "category is required" });
+  if (!Array.isArray(requested) || !requested.length) {
+    return { error: "substitutions must be a non-empty array" };
+  }
 
-    if (!ALLOWED_CATEGORIES.includes(category)) {
-      return res.status(400).json({
-        error: "invalid category",
-        allowed: ALLOWED_CATEGORIES,
-      });
+  const picks = [];
+
+  for (const entry of requested) {
+    if (
+      !isPlainObject(entry) ||
+      !isComponentId(entry.component_id) ||
+      (entry.substitute_id !== undefined && !isComponentId(entry.substitute_id))
+    ) {
+      return {
+        error:
+          "each substitution must be an object with a component_id and an optional substitute_id",
+      };
     }
 
-    const temp = await BuilderModel.getTempBuild(req.user.id);
-    delete temp.components[category];
+    const { component_id, substitute_id } = entry;
+    const proposal = proposals.find(
+      (p) => String(p.component_id) === String(component_id)
+    );
 
-    await BuilderModel.upsertTempBuild(req.user.id, temp.components);
+    if (!proposal) {
+      return { error: `component ${component_id} does not need a substitute` };
+    }
 
-    const detailed = await BuilderModel.expandComponents(temp.components);
-    const summary = BuilderModel.buildSummary(detailed);
+    const choice = substitute_id
+      ? proposal.alternatives.find(
+          (a) => String(a.component_id) === String(substitute_id)
+        )
+      : proposal.substitute;
+
+    if (!choice) {
+      return {
+        error: substitute_id
+          ? `${substitute_id} is not a proposed substitute for ${component_id}`
+          : `no substitute available for ${component_id}`,
+      };
+    }
 
-    return res.json({ build: detailed, summary });
-  } catch (err) {
-    console.error("removeFromTempBuild:", err.message);
-    return res.status(500).json({ error: "Server error" });
+    picks.push({
+      category: proposal.category,
+      component_id: proposal.component_id,
+      substitute_id: choice.component_id,
+    });
   }
+
+  return { picks };
 };
 
+// Picks that fit one by one but clash together are rejected, not applied
+const substitutionConflict = (res, issues) =>
+  res.status(400).json({
+    error: "The selected substitutes are not compatible with each other",
+    issues,
+  });
+
 /**
- * Reset temporary build (clears everything).
+ * Unavailable parts in the temp build, each with the closest in-stock,
+ * compatible substitute and a few alternatives.
  */
-export const resetTempBuild = async (req, res) => {
+export const tempBuildSubstitutions = async (req, res) => {
   try {
-    if (!ensureUser(req, res)) return;
+    if (!ensureTempOwner(req, res)) return;
 
-    await BuilderModel.resetTempBuild(req.user.id);
+    const temp = await BuilderModel.getTempBuild(tempOwner(req), req.draftId);
+    const substitutions = await substitutionProposals(temp.components || {});
 
     return res.json({
-      success: true,
-      build: {},
-      summary: BuilderModel.buildSummary({}),
+      draft_id: req.draftId || DEFAULT_DRAFT,
+      substitutions,
     });
   } catch (err) {
-    console.error("resetTempBuild:", err.message);
+    console.error("tempBuildSubstitutions:", err.message);
     return res.status(500).json({ error: "Server error" });
   }
 };
 
-/* ============================================================================
-    BUILDER — SAVE / LOAD / MANAGE USER BUILDS
-  ============================================================================ */
-
 /**
- * Save current temp build as a user build.
+ * Swap substitutes into the temp build in one call (one undo step).
  */
-export const saveBuild = async (req, res) => {
+export const acceptTempSubstitutions = async (req, res) => {
   try {
-    if (!ensureUser(req, res)) return;
+    if (!ensureTempOwner(req, res)) return;
 
-    const { name } = req.body;
+    const temp = await BuilderModel.getTempBuild(tempOwner(req), req.draftId);
+    const components = temp.components || {};
+    const proposals = await substitutionProposals(components);
 
-    const temp = await BuilderModel.getTempBuild(req.user.id);
-    const expanded = await BuilderModel.expandComponents(temp.components || {});
-    const summary = BuilderModel.buildSummary(expanded);
+    const { picks, error } = acceptedSubstitutions(proposals, req.body);
+    if (error) return res.status(400).json({ error });
 
-    const REQUIRED_PARTS = ["cpu", "motherboard", "memory", "psu", "case"];
-    let isIncomplete = REQUIRED_PARTS.some((part) => !expanded[part]);
+    if (!picks.length) {
+      return res.status(409).json({ error: "No substitutes to apply" });
+    }
 
-    const check = Compatibility.checkWholeBuild(expanded);
+    const next = Substitution.applySubstitutions(components, picks);
+    const build = await BuilderModel.expandComponents(next);
 
-    let compatibilityState = "compatible";
-    if (!check.ok) compatibilityState = "invalid";
-    else if (isIncomplete) compatibilityState = "incomplete";
+    const conflicts = Substitution.addedErrors(
+      await BuilderModel.expandComponents(components),
+      build
+    );
+    if (conflicts.length) return substitutionConflict(res, conflicts);
 
-    const componentsToSave = { ...temp.components };
-    delete componentsToSave.__source_build_id;
+    await BuilderModel.upsertTempBuild(tempOwner(req), next, req.draftId);
 
-    const saved = await BuilderModel.saveUserBuild(req.user.id, {
-      name: name || "My Build",
-      components: componentsToSave,
-      total_price: summary.total_price,
-      power_usage: summary.power_usage,
-      compatibility: compatibilityState,
+    return res.json({
+      build,
+      summary: BuilderModel.buildSummary(build),
+      compatibility: Compatibility.checkWholeBuild(build),
+      draft_id: req.draftId || DEFAULT_DRAFT,
+      applied: picks,
+      remaining: await substitutionProposals(next),
     });
-
-    // ➤ IMPORTANT: CLEAR TEMP AFTER SAVE
-    await BuilderModel.resetTempBuild(req.user.id);
-
-    return res.json({ build: saved });
   } catch (err) {
-    console.error("saveBuild:", err.message);
+    console.error("acceptTempSubstitutions:", err.message);
     return res.status(500).json({ error: "Server error" });
   }
 };
 
 /**
- * Get all builds for the authenticated user.
+ * Unavailable parts in a saved build with proposed substitutes. Removed
+ * parts are matched against their snapshot price.
  */
-export const getUserBuilds = async (req, res) => {
+export const savedBuildSubstitutions = async (req, res) => {
   try {
     if (!ensureUser(req, res)) return;
 
-    const builds = await BuilderModel.getUserBuilds(req.user.id);
-    return res.json({ builds });
+    const build = await BuilderModel.getUserBuildById(
+      req.user.id,
+      req.params.id
+    );
+    if (!build) return res.status(404).json({ error: "build not found" });
+
+    const substitutions = await substitutionProposals(
+      build.components || {},
+      build.price_snapshot
+    );
+
+    return res.json({ build_id: build.id, substitutions });
   } catch (err) {
-    console.error("getUserBuilds:", err.message);
+    console.error("savedBuildSubstitutions:", err.message);
     return res.status(500).json({ error: "Server error" });
   }
 };
 
 /**
- * Get a single saved build by ID.
+ * Swap substitutes into a saved build in one call (stored as a revision).
  */
-export const getUserBuildById = async (req, res) => {
+export const acceptSavedSubstitutions = async (req, res) => {
   try {
     if (!ensureUser(req, res)) return;
 
-    const id = req.params.id;
-
-    const build = await BuilderModel.getUserBuildById(req.user.id, id);
+    const build = await BuilderModel.getUserBuildById(
+      req.user.id,
+      req.params.id
+    );
     if (!build) return res.status(404).json({ error: "build not found" });
 
-    const expanded = await BuilderModel.expandComponents(
-      build.components || {}
+    const proposals = await substitutionProposals(
+      build.components || {},
+      build.price_snapshot
+    );
+
+    const { picks, error } = acceptedSubstitutions(proposals, req.body);
+    if (error) return res.status(400).json({ error });
+
+    if (!picks.length) {
+      return res.status(409).json({ error: "No substitutes to apply" });
+    }
+
+    const next = Substitution.applySubstitutions(build.components, picks);
+    const expanded = await BuilderModel.expandComponents(next);
+
+    const conflicts = Substitution.addedErrors(
+      await BuilderModel.expandComponents(build.components || {}),
+      expanded
     );
+    if (conflicts.length) return substitutionConflict(res, conflicts);
+
     const summary = BuilderModel.buildSummary(expanded);
 
-    return res.json({ build: { ...build, expanded }, summary });
+    const updated = await BuilderModel.updateUserBuild(
+      req.user.id,
+      build.id,
+      {
+        name: build.name,
+        components: next,
+        total_price: summary.total_price,
+        power_usage: summary.power_usage,
+        compatibility: savedCompatibilityState(expanded),
+      },
+      { note: "substitute" }
+    );
+
+    return res.json({
+      build: updated,
+      summary,
+      applied: picks,
+      remaining: await substitutionProposals(next, updated.price_snapshot),
+    });
   } catch (err) {
-    console.error("getUserBuildById:", err.message);
+    console.error("acceptSavedSubstitutions:", err.message);
     return res.status(500).json({ error: "Server error" });
   }
 };
@@ -384,6 +1581,138 @@ export const deleteBuild = async (req, res) => {
   }
 };
 
+/* ============================================================================
+    BUILDER — PUBLIC SHARE LINKS + FORKING
+  ============================================================================ */
+
+// What a share link exposes (no owner id)
+const publicBuild = (build) => ({
+  name: build.name,
+  image_url: build.image_url || null,
+  share_slug: build.share_slug,
+  shared_at: build.shared_at,
+  created_at: build.created_at,
+  updated_at: build.updated_at,
+  saved_total_price: Number(build.total_price || 0),
+});
+
+/**
+ * Publish a saved build under a share slug (idempotent).
+ */
+export const shareBuild = async (req, res) => {
+  try {
+    if (!ensureUser(req, res)) return;
+
+    const build = await BuilderModel.shareUserBuild(req.user.id, req.params.id);
+    if (!build) return res.status(404).json({ error: "build not found" });
+
+    return res.json({
+      share_slug: build.share_slug,
+      share_path: `/api/builder/shared/${build.share_slug}`,
+    });
+  } catch (err) {
+    console.error("shareBuild:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * Revoke a build's share link.
+ */
+export const unshareBuild = async (req, res) => {
+  try {
+    if (!ensureUser(req, res)) return;
+
+    const build = await BuilderModel.unshareUserBuild(
+      req.user.id,
+      req.params.id
+    );
+    if (!build) return res.status(404).json({ error: "build not found" });
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("unshareBuild:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * Public, read-only view of a shared build (no auth).
+ * Parts are expanded fresh, so prices and the summary are current.
+ */
+export const getSharedBuild = async (req, res) => {
+  try {
+    const build = await BuilderModel.getSharedBuildBySlug(req.params.slug);
+    if (!build) return res.status(404).json({ error: "build not found" });
+
+    const expanded = await BuilderModel.expandComponents(
+      build.components || {},
+      false
+    );
+    const summary = BuilderModel.buildSummary(expanded);
+    const compatibility = Compatibility.checkWholeBuild(expanded);
+
+    return res.json({
+      build: { ...publicBuild(build), expanded },
+      summary,
+      compatibility,
+    });
+  } catch (err) {
+    console.error("getSharedBuild:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * Copy a shared build into the viewer's saved builds or temp build.
+ * Body: { target?: "saved" | "temp" (default "saved"), name? }
+ */
+export const forkSharedBuild = async (req, res) => {
+  try {
+    if (!ensureUser(req, res)) return;
+
+    const { target = "saved", name } = req.body || {};
+
+    if (!["saved", "temp"].includes(target)) {
+      return res.status(400).json({
+        error: "Invalid target",
+        allowed: ["saved", "temp"],
+      });
+    }
+
+    const shared = await BuilderModel.getSharedBuildBySlug(req.params.slug);
+    if (!shared) return res.status(404).json({ error: "build not found" });
+
+    const components = { ...(shared.components || {}) };
+    delete components.__source_build_id;
+
+    if (target === "temp") {
+      await BuilderModel.upsertTempBuild(req.user.id, components, req.draftId);
+
+      const build = await BuilderModel.expandComponents(components);
+      const summary = BuilderModel.buildSummary(build);
+
+      return res.json({ target, build, summary });
+    }
+
+    const expanded = await BuilderModel.expandComponents(components);
+    const summary = BuilderModel.buildSummary(expanded);
+
+    const copy = await BuilderModel.saveUserBuild(req.user.id, {
+      name: name || shared.name,
+      components,
+      total_price: summary.total_price,
+      power_usage: summary.power_usage,
+      compatibility: savedCompatibilityState(expanded),
+    });
+
+    return res.status(201).json({ target, build: copy });
+  } catch (err) {
+    console.error("forkSharedBuild:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
 /* ============================================================================
     BUILDER — AUTO BUILDER TOOLS
   ============================================================================ */
@@ -395,7 +1724,7 @@ export const autoComplete = async (req, res) => {
   try {
     if (!ensureUser(req, res)) return;
 
-    const temp = await BuilderModel.getTempBuild(req.user.id);
+    const temp = await BuilderModel.getTempBuild(req.user.id, req.draftId);
 
     // keep source build id
     const sourceId = temp.components.__source_build_id || null;
@@ -403,10 +1732,14 @@ export const autoComplete = async (req, res) => {
     const updated = await AutoBuilder.autoCompleteBuild(temp.components || {});
 
     // merge source id back para hindi mawala
-    await BuilderModel.upsertTempBuild(req.user.id, {
-      ...updated,
-      ...(sourceId ? { __source_build_id: sourceId } : {}),
-    });
+    await BuilderModel.upsertTempBuild(
+      req.user.id,
+      {
+        ...updated,
+        ...(sourceId ? { __source_build_id: sourceId } : {}),
+      },
+      req.draftId
+    );
 
     // separate the marker
     const { __source_build_id, ...componentOnly } = {
@@ -442,7 +1775,7 @@ export const autoBuild = async (req, res) => {
 
     if (!purpose) return res.status(400).json({ error: "purpose is required" });
 
-    const temp = await BuilderModel.getTempBuild(req.user.id);
+    const temp = await BuilderModel.getTempBuild(req.user.id, req.draftId);
 
     const sourceId = temp.components.__source_build_id || null;
 
@@ -453,18 +1786,22 @@ export const autoBuild = async (req, res) => {
     });
 
     // Always overwrite full temp build for autobuild
-    await BuilderModel.upsertTempBuild(req.user.id, {
-      ...built,
-      cpu: built.cpu || null,
-      motherboard: built.motherboard || null,
-      memory: built.memory || null,
-      gpu: built.gpu || null,
-      storage: built.storage || null,
-      psu: built.psu || null,
-      case: built.case || null,
-      cpu_cooler: built.cpu_cooler || null,
-      ...(sourceId ? { __source_build_id: sourceId } : {}),
-    });
+    await BuilderModel.upsertTempBuild(
+      req.user.id,
+      {
+        ...built,
+        cpu: built.cpu || null,
+        motherboard: built.motherboard || null,
+        memory: built.memory || null,
+        gpu: built.gpu || null,
+        storage: built.storage || null,
+        psu: built.psu || null,
+        case: built.case || null,
+        cpu_cooler: built.cpu_cooler || null,
+        ...(sourceId ? { __source_build_id: sourceId } : {}),
+      },
+      req.draftId
+    );
 
     const { __source_build_id, ...componentOnly } = {
       ...built,
@@ -482,6 +1819,7 @@ export const autoBuild = async (req, res) => {
       return res.status(400).json({
         error: "AutoBuild generated an incompatible build",
         reason: check.reason,
+        issues: check.issues,
       });
     }
 
@@ -533,7 +1871,11 @@ export const loadSavedBuildToTemp = async (req, res) => {
       __source_build_id: id,
     };
 
-    await BuilderModel.upsertTempBuild(req.user.id, tempComponents);
+    await BuilderModel.upsertTempBuild(
+      req.user.id,
+      tempComponents,
+      req.draftId
+    );
 
     const expanded = await BuilderModel.expandComponents(build.components);
     const summary = BuilderModel.buildSummary(expanded);
@@ -563,7 +1905,7 @@ export const updateSavedBuild = async (req, res) => {
     const original = await BuilderModel.getUserBuildById(req.user.id, id);
     if (!original) return res.status(404).json({ error: "build not found" });
 
-    const temp = await BuilderModel.getTempBuild(req.user.id);
+    const temp = await BuilderModel.getTempBuild(req.user.id, req.draftId);
     const updatedComponents = temp.components || {};
 
     // --- FIXED LOGIC ---
@@ -595,6 +1937,7 @@ export const updateSavedBuild = async (req, res) => {
       return res.status(400).json({
         error: "Build incompatible",
         reason: check.reason,
+        issues: check.issues,
       });
     }
 
@@ -609,7 +1952,7 @@ export const updateSavedBuild = async (req, res) => {
     });
 
     // CLEAR TEMP BUILD AFTER SUCCESSFUL UPDATE
-    await BuilderModel.resetTempBuild(req.user.id);
+    await BuilderModel.resetTempBuild(req.user.id, req.draftId);
 
     return res.json({
       build: updated,
@@ -621,6 +1964,135 @@ export const updateSavedBuild = async (req, res) => {
   }
 };
 
+/* ============================================================================
+    BUILDER — SAVED BUILD REVISIONS
+  ============================================================================ */
+
+/**
+ * List a saved build's revisions (newest first).
+ */
+export const listBuildRevisions = async (req, res) => {
+  try {
+    if (!ensureUser(req, res)) return;
+
+    const build = await BuilderModel.getUserBuildById(
+      req.user.id,
+      req.params.id
+    );
+    if (!build) return res.status(404).json({ error: "build not found" });
+
+    const revisions = await BuilderModel.getBuildRevisions(
+      req.user.id,
+      build.id
+    );
+
+    return res.json({ build_id: build.id, revisions });
+  } catch (err) {
+    console.error("listBuildRevisions:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+// Revision numbers start at 1
+const isRevisionNumber = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Diff two revisions of a saved build. Query: ?from=<revision>&to=<revision>
+ * Totals are the stored ones; per-slot price deltas use current prices.
+ */
+export const diffBuildRevisions = async (req, res) => {
+  try {
+    if (!ensureUser(req, res)) return;
+
+    const from = Number(req.query.from);
+    const to = Number(req.query.to);
+
+    if (!isRevisionNumber(from) || !isRevisionNumber(to)) {
+      return res
+        .status(400)
+        .json({ error: "from and to revision numbers are required" });
+    }
+
+    const [before, after] = await Promise.all([
+      BuilderModel.getBuildRevision(req.user.id, req.params.id, from),
+      BuilderModel.getBuildRevision(req.user.id, req.params.id, to),
+    ]);
+
+    if (!before || !after) {
+      return res.status(404).json({ error: "revision not found" });
+    }
+
+    const [fromExpanded, toExpanded] = await Promise.all([
+      BuilderModel.expandComponents(before.components || {}),
+      BuilderModel.expandComponents(after.components || {}),
+    ]);
+
+    const { components: _fromComponents, ...fromInfo } = before;
+    const { components: _toComponents, ...toInfo } = after;
+
+    return res.json({
+      from: fromInfo,
+      to: toInfo,
+      total_price_delta:
+        Number(after.total_price || 0) - Number(before.total_price || 0),
+      power_usage_delta:
+        Number(after.power_usage || 0) - Number(before.power_usage || 0),
+      categories: diffBuildComponents(fromExpanded, toExpanded),
+    });
+  } catch (err) {
+    console.error("diffBuildRevisions:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * Revert a saved build to an earlier revision's components (re-priced at
+ * current prices). The revert itself is stored as a new revision.
+ */
+export const revertBuildRevision = async (req, res) => {
+  try {
+    if (!ensureUser(req, res)) return;
+
+    const number = Number(req.params.revision);
+
+    if (!isRevisionNumber(number)) {
+      return res.status(400).json({ error: "Invalid revision number" });
+    }
+
+    const revision = await BuilderModel.getBuildRevision(
+      req.user.id,
+      req.params.id,
+      number
+    );
+    if (!revision) return res.status(404).json({ error: "revision not found" });
+
+    const components = revision.components || {};
+    const expanded = await BuilderModel.expandComponents(components);
+    const summary = BuilderModel.buildSummary(expanded);
+
+    const updated = await BuilderModel.updateUserBuild(
+      req.user.id,
+      req.params.id,
+      {
+        components,
+        total_price: summary.total_price,
+        power_usage: summary.power_usage,
+        compatibility: savedCompatibilityState(expanded),
+      },
+      { note: `revert to #${revision.revision}` }
+    );
+    if (!updated) return res.status(404).json({ error: "build not found" });
+
+    return res.json({
+      build: updated,
+      message: `Reverted to revision ${revision.revision}`,
+    });
+  } catch (err) {
+    console.error("revertBuildRevision:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+};
+
 /**
  * Get all saved builds with preview (used in Saved Builds tab UI).
  */
@@ -634,6 +2106,7 @@ export const getMySavedBuilds = async (req, res) => {
     for (const b of builds) {
       const expanded = await BuilderModel.expandComponents(b.components || {});
       const summary = BuilderModel.buildSummary(expanded);
+      const report = Compatibility.checkWholeBuild(expanded);
 
       results.push({
         id: b.id,
@@ -641,6 +2114,7 @@ export const getMySavedBuilds = async (req, res) => {
         total_price: summary.total_price,
         power_usage: summary.power_usage,
         compatibility: b.compatibility || "ok",
+        compatibility_report: report,
         preview: expanded,
         created_at: b.created_at,
       });
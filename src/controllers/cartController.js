@@ -6,6 +6,7 @@
 
 import * as Cart from "../models/cartModel.js";
 import * as Builder from "../models/builderModel.js";
+import { expandedParts, slotEntries } from "../utils/buildSlots.js";
 
 /* ============================================================================
     CART — GET ITEMS
@@ -107,16 +108,19 @@ export const addBuildToCart = async (req, res) => {
     // 2. Expand components
     const expanded = await Builder.expandComponents(build.components);
 
-    const bundle_items = Object.entries(expanded).map(([category, comp]) => ({
-      category,
-      name: comp.name,
-      price: comp.price,
-      image_url: comp.image_url,
-    }));
+    const bundle_items = expandedParts(expanded).map(
+      ({ category, component: comp, quantity }) => ({
+        category,
+        name: comp.name,
+        price: comp.price,
+        quantity,
+        image_url: comp.image_url,
+      })
+    );
 
     // 3. Compute total price
     const totalPrice = bundle_items.reduce(
-      (sum, item) => sum + Number(item.price || 0),
+      (sum, item) => sum + Number(item.price || 0) * item.quantity,
       0
     );
 
@@ -148,14 +152,15 @@ export const addBuildToCart = async (req, res) => {
     CART — ADD TEMP BUILD (NO SAVE REQUIRED)
   ============================================================================ */
 
-// Add all components from the user's temp build directly to the cart.
+// Add all components from the user's temp build (active draft, or ?draft=)
+// directly to the cart.
 // Does NOT save the build as a bundle.
 export const addTempBuildToCart = async (req, res) => {
   try {
     const userId = req.user.id;
 
     // Get temp build
-    const temp = await Builder.getTempBuild(userId);
+    const temp = await Builder.getTempBuild(userId, req.draftId);
     const components = temp.components || {};
 
     if (!components || Object.keys(components).length === 0) {
@@ -172,22 +177,31 @@ export const addTempBuildToCart = async (req, res) => {
     let totalAddedPrice = 0;
 
     // OPTIONAL: wrap this block in a DB transaction for all-or-nothing behavior.
-    for (const [category, componentId] of Object.entries(components)) {
+    for (const [category, value] of Object.entries(components)) {
       // skip marker fields
-      if (!componentId || category === "__source_build_id") continue;
-
-      const comp = await Builder.getComponentWithSpecsById(componentId);
-      if (!comp) continue;
-
-      // ensure numeric price
-      const price = Number(comp.price || 0);
-      // fallback: if price is NaN, set to 0 (or skip)
-      const safePrice = Number.isFinite(price) ? price : 0;
-
-      const item = await Cart.addItem(userId, componentId, safePrice, category);
-
-      addedItems.push(item);
-      totalAddedPrice += safePrice;
+      if (!value || category === "__source_build_id") continue;
+
+      // multi-quantity slots (drives, RAM kits, fans) list several parts
+      for (const { id: componentId, quantity } of slotEntries(value)) {
+        const comp = await Builder.getComponentWithSpecsById(componentId);
+        if (!comp) continue;
+
+        // ensure numeric price
+        const price = Number(comp.price || 0);
+        // fallback: if price is NaN, set to 0 (or skip)
+        const safePrice = Number.isFinite(price) ? price : 0;
+
+        const item = await Cart.addItem(
+          userId,
+          componentId,
+          safePrice,
+          category,
+          quantity
+        );
+
+        addedItems.push(item);
+        totalAddedPrice += safePrice * quantity;
+      }
     }
 
     return res.json({
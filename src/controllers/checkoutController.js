@@ -256,9 +256,7 @@ export const checkoutBuild = async (req, res) => {
 
     const expanded = await Builder.expandComponents(build.components || {});
 
-    const totalPrice = Object.values(expanded)
-      .filter((c) => c?.price !== undefined)
-      .reduce((sum, comp) => sum + Number(comp.price || 0), 0);
+    const totalPrice = Builder.buildSummary(expanded).total_price;
 
     const items = [
       {
@@ -1,4 +1,5 @@
 import { supabase } from "../services/supabaseClient.js";
+import { normalizeSpecs } from "../utils/specNormalizer.js";
 
 const CATEGORY_MAP = {
   "2bbab1a8-0a20-49da-b0fb-e932a68ca35f": "cpu",
@@ -60,7 +61,7 @@ export async function publicListComponents(req, res) {
           .eq("component_id", comp.id)
           .single();
 
-        if (specData) specs = specData;
+        if (specData) specs = normalizeSpecs(categoryName, specData);
       }
 
       results.push({
@@ -106,7 +107,7 @@ export async function publicGetComponent(req, res) {
         .eq("component_id", id)
         .single();
 
-      if (specData) specs = specData;
+      if (specData) specs = normalizeSpecs(categoryName, specData);
     }
 
     await supabase.rpc("increment_component_views", { comp_id: id });
@@ -185,7 +186,7 @@ export async function publicGetTrending(req, res) {
           .eq("component_id", comp.id)
           .single();
 
-        if (specData) specs = specData;
+        if (specData) specs = normalizeSpecs(categoryName, specData);
       }
 
       results.push({
@@ -40,6 +40,6 @@ setInterval(async () => {
   } catch (err) {
     console.log("🔥 Keepalive failed:", err.message);
   }
-}, 10000); // ping every 10 seconds
+}, 10000).unref(); // ping every 10 seconds; don't hold the process open
 
 export default pool;
@@ -0,0 +1,79 @@
+// src/middleware/draftMiddleware.js
+// -----------------------------------------------------------------------------
+// DRAFT SELECTION MIDDLEWARE
+// Picks the draft the temp build routes work on and sets `req.draftId`:
+//   ?draft=<id>       that named draft (must belong to the user)
+//   ?draft=default    the default draft (classic temp build)
+//   (no ?draft)       the user's active draft — the default one unless the
+//                     user switched to a named draft
+// `req.draftId` is null for the default draft (and always for guests).
+// -----------------------------------------------------------------------------
+
+import * as BuilderModel from "../models/builderModel.js";
+
+export const DEFAULT_DRAFT = "default";
+
+const UUID_RE =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/** Named draft ids are uuids; anything else can't match a row */
+export const isDraftId = (v) => typeof v === "string" && UUID_RE.test(v);
+
+/**
+ * Middleware: resolve the draft for this request (run after requireAuth or
+ * requireUserOrGuest).
+ */
+export async function resolveDraft(req, res, next) {
+  try {
+    const userId = req.user?.id;
+    const requested = req.query?.draft;
+
+    // guests only have their one temp build
+    if (!userId && req.guestToken) {
+      if (requested && requested !== DEFAULT_DRAFT) {
+        return res.status(400).json({ error: "Drafts require an account" });
+      }
+
+      req.draftId = null;
+      return next();
+    }
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: "Not authenticated",
+      });
+    }
+
+    if (requested === DEFAULT_DRAFT) {
+      req.draftId = null;
+      return next();
+    }
+
+    if (!requested) {
+      req.draftId = await BuilderModel.getActiveDraftId(userId);
+      return next();
+    }
+
+    // ?draft=a&draft=b arrives as an array
+    if (typeof requested !== "string") {
+      return res.status(400).json({ error: "Invalid draft" });
+    }
+
+    if (!isDraftId(requested)) {
+      return res.status(404).json({ error: "draft not found" });
+    }
+
+    const draft = await BuilderModel.getDraftById(userId, requested);
+
+    if (!draft) {
+      return res.status(404).json({ error: "draft not found" });
+    }
+
+    req.draftId = draft.id;
+    next();
+  } catch (err) {
+    console.error("resolveDraft:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+}
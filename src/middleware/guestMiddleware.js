@@ -0,0 +1,42 @@
+// src/middleware/guestMiddleware.js
+// -----------------------------------------------------------------------------
+// USER OR GUEST MIDDLEWARE
+// Temp build routes are open to visitors without an account: a bearer token
+// authenticates as usual (requireAuth → req.user); otherwise a guest token
+// from POST /api/builder/guest, sent as `x-guest-token`, sets req.guestToken.
+// Only tokens the server issued that haven't expired are accepted.
+// -----------------------------------------------------------------------------
+
+import { requireAuth } from "./authMiddleware.js";
+import { guestBuildExists } from "../models/builderModel.js";
+
+/**
+ * Middleware: allow an authenticated user or a guest token.
+ */
+export async function requireUserOrGuest(req, res, next) {
+  if (req.headers.authorization) return requireAuth(req, res, next);
+
+  const guestToken = req.headers["x-guest-token"];
+
+  if (!guestToken) {
+    return res.status(401).json({
+      success: false,
+      error: "Missing authentication or guest token",
+    });
+  }
+
+  try {
+    if (!(await guestBuildExists(guestToken))) {
+      return res.status(401).json({
+        success: false,
+        error: "Guest session expired or unknown",
+      });
+    }
+  } catch (err) {
+    console.error("requireUserOrGuest:", err.message);
+    return res.status(500).json({ error: "Server error" });
+  }
+
+  req.guestToken = guestToken;
+  return next();
+}
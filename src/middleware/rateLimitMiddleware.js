@@ -1,7 +1,8 @@
 // src/middleware/rateLimitMiddleware.js
 // -----------------------------------------------------------------------------
 // RATE LIMIT MIDDLEWARE
-// Protects auth-sensitive endpoints from brute-force and abuse.
+// Protects auth-sensitive endpoints (and guest session creation) from
+// brute-force and abuse.
 // -----------------------------------------------------------------------------
 
 import rateLimit from "express-rate-limit";
@@ -50,3 +51,18 @@ export const forgotPassLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
 });
+
+// ============================================================================
+// GUEST SESSION LIMITER
+// ============================================================================
+
+export const guestSessionLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 new guest builds per 15 minutes
+  message: {
+    success: false,
+    error: "Too many guest sessions. Please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
@@ -1,6 +1,20 @@
 // src/models/builderModel.js
 
+import crypto from "crypto";
 import pool from "../db.js";
+import { estimatePower } from "../utils/powerModel.js";
+import { storageSlotSummary } from "../utils/storageSlots.js";
+import {
+  normalizeSpecs,
+  categoryForSpecTable,
+} from "../utils/specNormalizer.js";
+import {
+  isMultiCategory,
+  slotEntries,
+  slotItems,
+  expandedParts,
+} from "../utils/buildSlots.js";
+import { mergeGuestBuild } from "../utils/buildMerge.js";
 
 // -----------------------------------------------------------------------------
 // SPEC TABLES + CACHE
@@ -19,7 +33,7 @@ const SPEC_TABLES = [
 const specsCache = new Map();
 
 // -----------------------------------------------------------------------------
-// FETCH SPECS
+// FETCH SPECS (normalized → canonical typed fields, see utils/specNormalizer.js)
 // -----------------------------------------------------------------------------
 export const getSpecsForComponent = async (componentId) => {
   if (specsCache.has(componentId)) return specsCache.get(componentId);
@@ -31,10 +45,7 @@ export const getSpecsForComponent = async (componentId) => {
     );
 
     if (rows[0]) {
-      const spec = { ...rows[0] };
-      delete spec.id;
-      delete spec.component_id;
-      delete spec.created_at;
+      const spec = normalizeSpecs(categoryForSpecTable(table), rows[0]);
 
       specsCache.set(componentId, spec);
       return spec;
@@ -93,36 +104,431 @@ export const getComponentsWithSpecs = async (slug) => {
   return rows.map((c) => ({
     ...c,
     category: slug,
-    specs: c.specs || {},
+    specs: normalizeSpecs(slug, c.specs),
   }));
 };
 
+/** Every component's id, name, price and category slug (for import matching) */
+export const getCatalogForMatching = async () => {
+  const { rows } = await pool.query(
+    `
+      SELECT c.id, c.name, c.price, cat.slug AS category
+      FROM components c
+      JOIN categories cat ON cat.id = c.category_id
+    `
+  );
+
+  return rows;
+};
+
+/** Current id / name / price / status / stock for a set of component ids */
+export const getComponentsByIds = async (ids = []) => {
+  if (!ids.length) return [];
+
+  const { rows } = await pool.query(
+    `
+      SELECT id, name, price, status, stock
+      FROM components
+      WHERE id = ANY($1)
+    `,
+    [ids]
+  );
+
+  return rows;
+};
+
 // -----------------------------------------------------------------------------
 // TEMP BUILD
+// Every temp function takes the owner — a user id, or { guestToken } for a
+// visitor without an account — and an optional `draftId`: null is the default
+// draft (`user_builds_temp`, one row per user), anything else a named draft
+// row in `user_build_drafts` owned by the user (see DRAFTS below). Guests
+// have a single temp build in `guest_builds_temp` (see GUEST BUILDS below).
 // -----------------------------------------------------------------------------
-export const getTempBuild = async (userId) => {
+export const isGuestOwner = (owner) => !!owner?.guestToken;
+
+const workspace = (owner, draftId) => {
+  if (isGuestOwner(owner)) {
+    return {
+      table: "guest_builds_temp",
+      where: `guest_token = $1 AND ${GUEST_BUILD_LIVE}`,
+      params: [owner.guestToken],
+    };
+  }
+
+  if (draftId) {
+    return {
+      table: "user_build_drafts",
+      where: "id = $2 AND user_id = $1",
+      params: [owner, draftId],
+    };
+  }
+
+  return {
+    table: "user_builds_temp",
+    key: "user_id",
+    where: "user_id = $1",
+    params: [owner],
+  };
+};
+
+export const getTempBuild = async (owner, draftId = null) => {
+  const { table, where, params } = workspace(owner, draftId);
+
   const { rows } = await pool.query(
-    `SELECT components FROM user_builds_temp WHERE user_id = $1`,
-    [userId]
+    `
+      SELECT
+        components,
+        jsonb_array_length(COALESCE(undo_stack, '[]'::jsonb)) AS undo_count,
+        jsonb_array_length(COALESCE(redo_stack, '[]'::jsonb)) AS redo_count
+      FROM ${table}
+      WHERE ${where}
+    `,
+    params
+  );
+
+  const temp = rows[0] || { undo_count: 0, redo_count: 0 };
+  return { ...temp, components: temp.components || {} };
+};
+
+// -----------------------------------------------------------------------------
+// TEMP BUILD HISTORY (undo / redo)
+// Every write pushes the previous components onto `undo_stack` (newest first,
+// bounded) and clears `redo_stack`. Undo / redo move states between the two.
+// Each read-modify-write holds the row lock (SELECT … FOR UPDATE) so two
+// concurrent edits can't both build on the same state and drop a step.
+// -----------------------------------------------------------------------------
+export const TEMP_HISTORY_LIMIT = 20;
+
+const getTempState = async (client, owner, draftId) => {
+  const { table, where, params } = workspace(owner, draftId);
+
+  const { rows } = await client.query(
+    `
+      SELECT
+        components,
+        COALESCE(undo_stack, '[]'::jsonb) AS undo_stack,
+        COALESCE(redo_stack, '[]'::jsonb) AS redo_stack
+      FROM ${table}
+      WHERE ${where}
+      FOR UPDATE
+    `,
+    params
+  );
+
+  return rows[0] || null;
+};
+
+const writeTempState = async (
+  client,
+  owner,
+  draftId,
+  { components, undo, redo }
+) => {
+  const { table, key, where, params } = workspace(owner, draftId);
+  const state = [
+    JSON.stringify(components),
+    JSON.stringify(undo.slice(0, TEMP_HISTORY_LIMIT)),
+    JSON.stringify(redo.slice(0, TEMP_HISTORY_LIMIT)),
+  ];
+
+  // named drafts and guest builds are only ever updated: they are created by
+  // createDraft / createGuestBuild, so an unknown id or token writes nothing
+  if (!key) {
+    const at = params.length;
+
+    await client.query(
+      `
+        UPDATE ${table}
+        SET components = $${at + 1}::jsonb,
+            undo_stack = $${at + 2}::jsonb,
+            redo_stack = $${at + 3}::jsonb,
+            updated_at = now()
+        WHERE ${where}
+      `,
+      [...params, ...state]
+    );
+    return;
+  }
+
+  await client.query(
+    `
+      INSERT INTO ${table}
+        (${key}, components, undo_stack, redo_stack, updated_at)
+      VALUES ($1, $2::jsonb, $3::jsonb, $4::jsonb, now())
+      ON CONFLICT (${key})
+      DO UPDATE SET
+        components = EXCLUDED.components,
+        undo_stack = EXCLUDED.undo_stack,
+        redo_stack = EXCLUDED.redo_stack,
+        updated_at = now()
+    `,
+    [...params, ...state]
   );
+};
+
+/**
+ * Run `change(current)` on the locked temp state inside one transaction.
+ * `change` returns the next { components, undo, redo }, or null to leave the
+ * row untouched.
+ */
+const changeTempState = async (owner, draftId, change) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const current = await getTempState(client, owner, draftId);
+    const next = change(current);
+    if (next) await writeTempState(client, owner, draftId, next);
+
+    await client.query("COMMIT");
+    return next;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/** Replace the temp build; the previous state becomes one undo step */
+export const upsertTempBuild = async (owner, components, draftId = null) => {
+  await changeTempState(owner, draftId, (current) => {
+    const previous = current?.components || {};
+
+    // no-op writes don't add a step
+    if (JSON.stringify(previous) === JSON.stringify(components)) return null;
+
+    const undo = current ? [previous, ...current.undo_stack] : [];
+    return { components, undo, redo: [] };
+  });
+};
 
-  return rows[0] || { components: {} };
+// Cleared like any other edit so a misclicked reset can be undone
+export const resetTempBuild = async (owner, draftId = null) => {
+  await upsertTempBuild(owner, {}, draftId);
 };
 
-export const upsertTempBuild = async (userId, components) => {
+/**
+ * Step the temp build back ("undo") or forward ("redo").
+ * Returns { components, undo_count, redo_count }, or null when there is
+ * nothing to step to.
+ */
+export const stepTempBuild = async (owner, direction, draftId = null) => {
+  const next = await changeTempState(owner, draftId, (current) => {
+    if (!current) return null;
+
+    const from = direction === "redo" ? current.redo_stack : current.undo_stack;
+    const to = direction === "redo" ? current.undo_stack : current.redo_stack;
+    if (!from.length) return null;
+
+    const [components, ...rest] = from;
+    const pushed = [current.components || {}, ...to];
+
+    const [undo, redo] = direction === "redo" ? [pushed, rest] : [rest, pushed];
+    return { components, undo, redo };
+  });
+
+  if (!next) return null;
+
+  return {
+    components: next.components,
+    undo_count: Math.min(next.undo.length, TEMP_HISTORY_LIMIT),
+    redo_count: Math.min(next.redo.length, TEMP_HISTORY_LIMIT),
+  };
+};
+
+// -----------------------------------------------------------------------------
+// GUEST BUILDS
+// Visitors get a random guest token (sent as `x-guest-token`) keying one temp
+// build in `guest_builds_temp`. On login / signup it is merged into the
+// account's active draft (utils/buildMerge.js) and deleted. Guest builds
+// untouched for GUEST_BUILD_TTL_DAYS expire: they are ignored right away and
+// purged by purgeExpiredGuestBuilds (run from server.js).
+// -----------------------------------------------------------------------------
+const GUEST_TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+export const GUEST_BUILD_TTL_DAYS = 7;
+
+// Not expired (also part of the guest workspace filter above)
+const GUEST_BUILD_LIVE = `updated_at > now() - interval '1 day' * ${GUEST_BUILD_TTL_DAYS}`;
+
+export const isGuestToken = (token) =>
+  typeof token === "string" && GUEST_TOKEN_PATTERN.test(token);
+
+/** Is this token a guest build the server issued that hasn't expired? */
+export const guestBuildExists = async (token) => {
+  if (!isGuestToken(token)) return false;
+
+  const { rows } = await pool.query(
+    `
+      SELECT 1 FROM guest_builds_temp
+      WHERE guest_token = $1 AND ${GUEST_BUILD_LIVE}
+    `,
+    [token]
+  );
+
+  return !!rows[0];
+};
+
+/** Delete expired guest builds → number removed */
+export const purgeExpiredGuestBuilds = async () => {
+  const { rowCount } = await pool.query(
+    `DELETE FROM guest_builds_temp WHERE NOT (${GUEST_BUILD_LIVE})`
+  );
+
+  return rowCount;
+};
+
+/** Start an (empty) guest temp build → its token */
+export const createGuestBuild = async () => {
+  const token = crypto.randomBytes(24).toString("base64url");
+
   await pool.query(
     `
-      INSERT INTO user_builds_temp (user_id, components, updated_at)
-      VALUES ($1, $2::jsonb, now())
-      ON CONFLICT (user_id)
-      DO UPDATE SET components = EXCLUDED.components, updated_at = now()
+      INSERT INTO guest_builds_temp
+        (guest_token, components, undo_stack, redo_stack, created_at, updated_at)
+      VALUES ($1, '{}'::jsonb, '[]'::jsonb, '[]'::jsonb, now(), now())
+    `,
+    [token]
+  );
+
+  return token;
+};
+
+export const deleteGuestBuild = async (token) => {
+  await pool.query(`DELETE FROM guest_builds_temp WHERE guest_token = $1`, [
+    token,
+  ]);
+};
+
+/**
+ * Merge a guest build into the user's active draft, then drop the guest row.
+ * Returns { components, conflicts, draft_id }, or null when the guest build
+ * is empty or unknown. The merge is one undo step on the account side.
+ */
+export const mergeGuestIntoAccount = async (userId, guestToken, policy) => {
+  if (!isGuestToken(guestToken)) return null;
+
+  const guest = await getTempBuild({ guestToken });
+  const filled = Object.keys(guest.components).some((c) => !c.startsWith("__"));
+
+  if (!filled) {
+    await deleteGuestBuild(guestToken);
+    return null;
+  }
+
+  const draftId = await getActiveDraftId(userId);
+  const account = await getTempBuild(userId, draftId);
+
+  const result = mergeGuestBuild(account.components, guest.components, policy);
+
+  await upsertTempBuild(userId, result.components, draftId);
+  await deleteGuestBuild(guestToken);
+
+  return { ...result, draft_id: draftId };
+};
+
+// -----------------------------------------------------------------------------
+// DRAFTS (named temp builds)
+// The default draft is the classic temp build; named drafts live in
+// `user_build_drafts`. At most one named draft is active (`is_active`); with
+// none active the default draft is the one the temp routes work on.
+// -----------------------------------------------------------------------------
+export const MAX_DRAFTS = 10;
+
+const DRAFT_COLUMNS = `id, name, components, is_active, created_at, updated_at`;
+
+export const getDrafts = async (userId) => {
+  const { rows } = await pool.query(
+    `
+      SELECT ${DRAFT_COLUMNS}
+      FROM user_build_drafts
+      WHERE user_id = $1
+      ORDER BY created_at ASC
+    `,
+    [userId]
+  );
+
+  return rows;
+};
+
+export const getDraftById = async (userId, draftId) => {
+  const { rows } = await pool.query(
+    `
+      SELECT ${DRAFT_COLUMNS}
+      FROM user_build_drafts
+      WHERE id = $2 AND user_id = $1
+    `,
+    [userId, draftId]
+  );
+
+  return rows[0] || null;
+};
+
+/** Id of the user's active named draft, or null for the default draft */
+export const getActiveDraftId = async (userId) => {
+  const { rows } = await pool.query(
+    `
+      SELECT id FROM user_build_drafts
+      WHERE user_id = $1 AND is_active = true
+      LIMIT 1
+    `,
+    [userId]
+  );
+
+  return rows[0]?.id || null;
+};
+
+export const createDraft = async (userId, name, components = {}) => {
+  const { rows } = await pool.query(
+    `
+      INSERT INTO user_build_drafts
+        (user_id, name, components, undo_stack, redo_stack, is_active,
+         created_at, updated_at)
+      VALUES ($1, $2, $3::jsonb, '[]'::jsonb, '[]'::jsonb, false, now(), now())
+      RETURNING ${DRAFT_COLUMNS}
+    `,
+    [userId, name, JSON.stringify(components)]
+  );
+
+  return rows[0];
+};
+
+export const renameDraft = async (userId, draftId, name) => {
+  const { rows } = await pool.query(
+    `
+      UPDATE user_build_drafts
+      SET name = $3, updated_at = now()
+      WHERE id = $2 AND user_id = $1
+      RETURNING ${DRAFT_COLUMNS}
     `,
-    [userId, JSON.stringify(components)]
+    [userId, draftId, name]
   );
+
+  return rows[0] || null;
 };
 
-export const resetTempBuild = async (userId) => {
-  await pool.query(`DELETE FROM user_builds_temp WHERE user_id = $1`, [userId]);
+export const deleteDraft = async (userId, draftId) => {
+  const { rows } = await pool.query(
+    `DELETE FROM user_build_drafts WHERE id = $2 AND user_id = $1 RETURNING id`,
+    [userId, draftId]
+  );
+
+  return !!rows[0];
+};
+
+/** Make `draftId` the active draft (null → back to the default draft) */
+export const setActiveDraft = async (userId, draftId) => {
+  await pool.query(
+    `
+      UPDATE user_build_drafts
+      SET is_active = (id IS NOT DISTINCT FROM $2)
+      WHERE user_id = $1
+    `,
+    [userId, draftId]
+  );
 };
 
 // -----------------------------------------------------------------------------
@@ -130,6 +536,8 @@ export const resetTempBuild = async (userId) => {
 // -----------------------------------------------------------------------------
 // allowMissing = true  → TEMP build (placeholder allowed)
 // allowMissing = false → SAVED build (hide missing components)
+// Multi-quantity categories (see utils/buildSlots.js) expand to an array of
+// components, each carrying its `quantity`.
 export const expandComponents = async (
   components = {},
   allowMissing = true
@@ -137,22 +545,32 @@ export const expandComponents = async (
   const expanded = {};
   const sourceId = components.__source_build_id || null;
 
-  for (const [category, id] of Object.entries(components)) {
+  for (const [category, value] of Object.entries(components)) {
     if (category === "__source_build_id") continue;
 
     // ❗ FIX 1: Just skip null or missing id
-    if (!id) continue;
+    if (!value) continue;
+
+    const items = [];
+
+    for (const { id, quantity } of slotEntries(value)) {
+      const comp = await getComponentWithSpecsById(id);
 
-    const comp = await getComponentWithSpecsById(id);
+      // ❗ FIX 2: If component not found in DB → skip
+      if (!comp) {
+        console.warn(`⚠ Missing component → id: ${id} (category: ${category})`);
+        continue;
+      }
 
-    // ❗ FIX 2: If component not found in DB → skip
-    if (!comp) {
-      console.warn(`⚠ Missing component → id: ${id} (category: ${category})`);
-      continue;
+      items.push({ ...comp, category, quantity });
     }
 
-    // Normal valid component
-    expanded[category] = { ...comp, category };
+    if (!items.length) continue;
+
+    // Normal valid component(s)
+    expanded[category] = isMultiCategory(category)
+      ? items
+      : { ...items[0], quantity: 1 };
   }
 
   if (sourceId) expanded.__source_build_id = sourceId;
@@ -163,20 +581,23 @@ export const expandComponents = async (
 // -----------------------------------------------------------------------------
 // SUMMARY
 // -----------------------------------------------------------------------------
+// power_usage = sustained draw from the power model (see utils/powerModel.js)
+// storage_slots = M.2 / SATA usage and free slots (see utils/storageSlots.js)
 export const buildSummary = (expanded) => {
   let total = 0;
-  let tdp = 0;
-
-  for (const [key, item] of Object.entries(expanded)) {
-    if (key === "__source_build_id") continue;
 
-    total += Number(item.price || 0);
-    tdp += Number(item.specs?.tdp || 0);
+  for (const { component, quantity } of expandedParts(expanded)) {
+    total += Number(component.price || 0) * quantity;
   }
 
+  const power = estimatePower(expanded);
+
   return {
     total_price: total,
-    power_usage: tdp,
+    power_usage: power.sustained_watts,
+    peak_power: power.peak_watts,
+    recommended_psu_watts: power.recommended_psu_watts,
+    storage_slots: storageSlotSummary(expanded),
     compatibility: "unknown",
   };
 };
@@ -184,15 +605,12 @@ export const buildSummary = (expanded) => {
 // -----------------------------------------------------------------------------
 // SAVED BUILDS (with is_saved)
 // -----------------------------------------------------------------------------
-export const saveUserBuild = async (
-  userId,
-  { name, components, total_price, power_usage, compatibility = "ok" }
-) => {
-  // 1. Expand components to get full info including image URLs
-  // 🛑 0. Clean components (remove null/missing)
-  const filteredComponents = Object.fromEntries(
+// 🛑 Clean components (remove null/missing)
+const cleanComponents = (components) =>
+  Object.fromEntries(
     Object.entries(components || {}).filter(([key, value]) => {
       if (!value) return false;
+      if (Array.isArray(value)) return slotEntries(value).length > 0;
       if (
         typeof value === "object" &&
         (value.id === null || value.name === "Missing Component")
@@ -202,28 +620,47 @@ export const saveUserBuild = async (
     })
   );
 
-  // 1. Expand ONLY the real components
-  const expanded = await expandComponents(filteredComponents, false);
-
-  // 2. Pick CASE image → fallback to other components
-  let buildImage = null;
+// Build image + per-part price snapshot ({ componentId: price }) at save
+// time; the snapshot is what price drift compares against
+const snapshotBuild = async (components) => {
+  // Expand ONLY the real components
+  const expanded = await expandComponents(components, false);
 
+  // Pick CASE image → fallback to other components
+  let image = null;
   const priority = ["case", "gpu", "cpu", "motherboard", "memory"];
 
   for (const p of priority) {
-    if (expanded[p]?.image_url) {
-      buildImage = expanded[p].image_url;
+    const withImage = slotItems(expanded[p]).find((c) => c.image_url);
+    if (withImage) {
+      image = withImage.image_url;
       break;
     }
   }
 
+  const prices = {};
+  for (const { component } of expandedParts(expanded)) {
+    prices[component.id] = Number(component.price || 0);
+  }
+
+  return { image, prices };
+};
+
+export const saveUserBuild = async (
+  userId,
+  { name, components, total_price, power_usage, compatibility = "ok" }
+) => {
+  // 1. Clean components, 2. pick the build image + price snapshot
+  const filteredComponents = cleanComponents(components);
+  const snapshot = await snapshotBuild(filteredComponents);
+
   // 3. Insert with image_url
   const { rows } = await pool.query(
     `
       INSERT INTO user_builds
         (user_id, name, components, total_price, power_usage, compatibility, 
-         is_saved, image_url, created_at, updated_at)
-      VALUES ($1, $2, $3::jsonb, $4, $5, $6, true, $7, now(), now())
+         is_saved, image_url, price_snapshot, created_at, updated_at)
+      VALUES ($1, $2, $3::jsonb, $4, $5, $6, true, $7, $8::jsonb, now(), now())
       RETURNING *
     `,
     [
@@ -233,13 +670,159 @@ export const saveUserBuild = async (
       total_price,
       power_usage,
       compatibility,
-      buildImage,
+      snapshot.image,
+      JSON.stringify(snapshot.prices),
+    ]
+  );
+
+  return rows[0];
+};
+
+// -----------------------------------------------------------------------------
+// UPDATE SAVED BUILD + REVISIONS
+// Every update stores a revision (`user_build_revisions`) with the component
+// map, price and power at that time. The first update also records the
+// build as it was before ("original"), so revision 1 is always the baseline.
+// -----------------------------------------------------------------------------
+const insertRevision = async (client, build, note) => {
+  const { rows } = await client.query(
+    `
+      INSERT INTO user_build_revisions
+        (build_id, user_id, revision, name, components, total_price,
+         power_usage, compatibility, note, created_at)
+      VALUES (
+        $1, $2,
+        (SELECT COALESCE(MAX(revision), 0) + 1
+           FROM user_build_revisions WHERE build_id = $1),
+        $3, $4::jsonb, $5, $6, $7, $8, now()
+      )
+      RETURNING *
+    `,
+    [
+      build.id,
+      build.user_id,
+      build.name,
+      JSON.stringify(build.components || {}),
+      build.total_price,
+      build.power_usage,
+      build.compatibility,
+      note,
     ]
   );
 
   return rows[0];
 };
 
+/**
+ * Overwrite a saved build and record the result as a new revision.
+ * `note` labels the revision ("update", "revert to #3", ...).
+ * Returns the updated build, or null when it isn't the user's.
+ */
+export const updateUserBuild = async (
+  userId,
+  id,
+  { name, components, total_price, power_usage, compatibility = "ok" },
+  { note = "update" } = {}
+) => {
+  const filteredComponents = cleanComponents(components);
+  const snapshot = await snapshotBuild(filteredComponents);
+
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const { rows: current } = await client.query(
+      `
+        SELECT *
+        FROM user_builds
+        WHERE user_id = $1 AND id = $2 AND is_saved = true
+        FOR UPDATE
+      `,
+      [userId, id]
+    );
+
+    if (!current[0]) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    const { rows: existing } = await client.query(
+      `SELECT 1 FROM user_build_revisions WHERE build_id = $1 LIMIT 1`,
+      [id]
+    );
+
+    if (!existing[0]) await insertRevision(client, current[0], "original");
+
+    const { rows } = await client.query(
+      `
+        UPDATE user_builds
+        SET name = $3,
+            components = $4::jsonb,
+            total_price = $5,
+            power_usage = $6,
+            compatibility = $7,
+            image_url = $8,
+            price_snapshot = $9::jsonb,
+            updated_at = now()
+        WHERE user_id = $1 AND id = $2
+        RETURNING *
+      `,
+      [
+        userId,
+        id,
+        name || current[0].name,
+        JSON.stringify(filteredComponents),
+        total_price,
+        power_usage,
+        compatibility,
+        snapshot.image,
+        JSON.stringify(snapshot.prices),
+      ]
+    );
+
+    await insertRevision(client, rows[0], note);
+
+    await client.query("COMMIT");
+    return rows[0];
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+/** Revisions of a saved build, newest first (without component maps) */
+export const getBuildRevisions = async (userId, buildId) => {
+  const { rows } = await pool.query(
+    `
+      SELECT id, build_id, revision, name, total_price, power_usage,
+             compatibility, note, created_at
+      FROM user_build_revisions
+      WHERE user_id = $1 AND build_id = $2
+      ORDER BY revision DESC
+    `,
+    [userId, buildId]
+  );
+
+  return rows;
+};
+
+export const getBuildRevision = async (userId, buildId, revision) => {
+  const { rows } = await pool.query(
+    `
+      SELECT *
+      FROM user_build_revisions
+      WHERE user_id = $1 AND build_id = $2 AND revision = $3
+      LIMIT 1
+    `,
+    [userId, buildId, revision]
+  );
+
+  return rows[0] || null;
+};
+
 export const getUserBuilds = async (userId) => {
   const { rows } = await pool.query(
     `
@@ -290,6 +873,57 @@ export const removeFromSaved = async (userId, buildId) => {
   );
 };
 
+// -----------------------------------------------------------------------------
+// PUBLIC SHARE LINKS
+// A saved build is public while it has a `share_slug` (random, unguessable).
+// -----------------------------------------------------------------------------
+const newShareSlug = () => crypto.randomBytes(12).toString("base64url");
+
+/** Publish a saved build (keeps an existing slug); null if not the owner's */
+export const shareUserBuild = async (userId, id) => {
+  const { rows } = await pool.query(
+    `
+      UPDATE user_builds
+      SET share_slug = COALESCE(share_slug, $3),
+          shared_at = COALESCE(shared_at, now())
+      WHERE user_id = $1 AND id = $2 AND is_saved = true
+      RETURNING *
+    `,
+    [userId, id, newShareSlug()]
+  );
+
+  return rows[0] || null;
+};
+
+/** Revoke the share link (a later share gets a fresh slug) */
+export const unshareUserBuild = async (userId, id) => {
+  const { rows } = await pool.query(
+    `
+      UPDATE user_builds
+      SET share_slug = NULL, shared_at = NULL
+      WHERE user_id = $1 AND id = $2 AND is_saved = true
+      RETURNING *
+    `,
+    [userId, id]
+  );
+
+  return rows[0] || null;
+};
+
+export const getSharedBuildBySlug = async (slug) => {
+  const { rows } = await pool.query(
+    `
+      SELECT *
+      FROM user_builds
+      WHERE share_slug = $1 AND is_saved = true
+      LIMIT 1
+    `,
+    [slug]
+  );
+
+  return rows[0] || null;
+};
+
 // -----------------------------------------------------------------------------
 // ADMIN LIST
 // -----------------------------------------------------------------------------
@@ -337,22 +971,18 @@ export const getBuildItems = async (buildId) => {
   // Expand using existing logic
   const expanded = await expandComponents(comps, false);
 
-  // Convert expanded object → array of COMPLETE items
-  return Object.entries(expanded)
+  // Convert expanded object → array of COMPLETE items (one row per part,
+  // multi-quantity slots keep their quantity)
+  return expandedParts(expanded)
     .filter(
-      ([key, comp]) =>
-        key !== "__source_build_id" &&
-        comp &&
-        comp.id &&
-        comp.name &&
-        comp.price !== undefined
+      ({ component: comp }) => comp.id && comp.name && comp.price !== undefined
     )
-    .map(([key, comp]) => ({
+    .map(({ category: key, component: comp, quantity }) => ({
       component_id: comp.id,
       name: comp.name,
       price: Number(comp.price || 0),
       price_each: Number(comp.price || 0),
-      quantity: 1,
+      quantity,
 
       // Correct category mapping
       category: key,
@@ -45,6 +45,7 @@ export const getOrCreateCart = async (userId) => {
  *  - bundled saved builds
  */
 import * as Builder from "../models/builderModel.js";
+import { expandedParts } from "../utils/buildSlots.js";
 
 export const getCartItems = async (userId) => {
   const { rows } = await pool.query(
@@ -95,12 +96,15 @@ export const getCartItems = async (userId) => {
       if (fullBuild && fullBuild.components) {
         const expanded = await Builder.expandComponents(fullBuild.components);
 
-        row.bundle_items = Object.entries(expanded)
-          .filter(([_, comp]) => comp && comp.name && comp.price !== undefined)
-          .map(([cat, comp]) => ({
+        row.bundle_items = expandedParts(expanded)
+          .filter(
+            ({ component: comp }) => comp.name && comp.price !== undefined
+          )
+          .map(({ category: cat, component: comp, quantity }) => ({
             category: cat,
             name: comp.name,
             price: Number(comp.price) || 0,
+            quantity,
           }));
       } else {
         row.bundle_items = [];
@@ -117,21 +121,28 @@ export const getCartItems = async (userId) => {
 
 /**
  * Adds a component item to the cart.
- * If the component already exists in the cart, increments quantity by +1.
+ * If the component already exists in the cart, increments quantity by
+ * `quantity` (default +1).
  */
-export const addItem = async (userId, componentId, price, category) => {
+export const addItem = async (
+  userId,
+  componentId,
+  price,
+  category,
+  quantity = 1
+) => {
   const { rows } = await pool.query(
     `
       INSERT INTO cart_items
         (user_id, component_id, price, quantity, category, updated_at)
-      VALUES ($1, $2, $3, 1, $4, NOW())
+      VALUES ($1, $2, $3, $5, $4, NOW())
       ON CONFLICT (user_id, component_id)
       DO UPDATE SET 
-        quantity = cart_items.quantity + 1,
+        quantity = cart_items.quantity + EXCLUDED.quantity,
         updated_at = NOW()
       RETURNING *
     `,
-    [userId, componentId, price, category]
+    [userId, componentId, price, category, quantity]
   );
 
   return rows[0];
@@ -0,0 +1,70 @@
+// src/models/chipsetSupportModel.js
+// -----------------------------------------------------------------------------
+// CHIPSET SUPPORT MODEL
+// Admin-maintained chipset ↔ CPU generation entries (`chipset_cpu_support`).
+// Every write reloads the in-memory table the compatibility rules read
+// (utils/chipsetSupport.js).
+// -----------------------------------------------------------------------------
+
+import pool from "../db.js";
+import {
+  setChipsetSupportOverrides,
+  chipsetKey,
+} from "../utils/chipsetSupport.js";
+import { generationKey } from "../utils/specValues.js";
+
+// -----------------------------------------------------------------------------
+// READ
+// -----------------------------------------------------------------------------
+export const getChipsetSupportEntries = async () => {
+  const { rows } = await pool.query(
+    `SELECT * FROM chipset_cpu_support ORDER BY chipset, cpu_generation`
+  );
+
+  return rows;
+};
+
+// Load the entries into the in-memory table (startup + after every write)
+export const loadChipsetSupport = async () => {
+  const rows = await getChipsetSupportEntries();
+  setChipsetSupportOverrides(rows);
+  return rows;
+};
+
+// -----------------------------------------------------------------------------
+// ADMIN WRITES
+// -----------------------------------------------------------------------------
+export const upsertChipsetSupport = async ({
+  chipset,
+  cpu_generation,
+  support,
+  note = null,
+}) => {
+  const { rows } = await pool.query(
+    `
+      INSERT INTO chipset_cpu_support
+        (chipset, cpu_generation, support, note, updated_at)
+      VALUES ($1, $2, $3, $4, now())
+      ON CONFLICT (chipset, cpu_generation)
+      DO UPDATE SET
+        support = EXCLUDED.support,
+        note = EXCLUDED.note,
+        updated_at = now()
+      RETURNING *
+    `,
+    [chipsetKey(chipset), generationKey(cpu_generation), support, note]
+  );
+
+  await loadChipsetSupport();
+  return rows[0];
+};
+
+export const deleteChipsetSupport = async (id) => {
+  const { rows } = await pool.query(
+    `DELETE FROM chipset_cpu_support WHERE id = $1 RETURNING *`,
+    [id]
+  );
+
+  await loadChipsetSupport();
+  return rows[0] || null;
+};
@@ -1,6 +1,7 @@
 // src/routes/adminRoutes.js
 // -----------------------------------------------------------------------------
-// Admin-only routes for managing users, orders, and inventory monitoring.
+// Admin-only routes for managing users, orders, inventory monitoring and the
+// chipset support table used by the compatibility checks.
 // -----------------------------------------------------------------------------
 
 import express from "express";
@@ -15,6 +16,9 @@ import {
   adminLowStock,
   adminDeleteOrder,
   adminUpdateUserStatus,
+  adminGetChipsetSupport,
+  adminUpsertChipsetSupport,
+  adminDeleteChipsetSupport,
 } from "../controllers/adminController.js";
 
 const router = express.Router();
@@ -60,4 +64,17 @@ router.delete("/orders/:id", adminDeleteOrder);
 
 router.get("/components/low-stock", adminLowStock);
 
+/* ============================================================================
+   COMPATIBILITY — CHIPSET ↔ CPU GENERATION SUPPORT
+=========================================================================== */
+
+// GET effective table + admin entries
+router.get("/chipset-support", adminGetChipsetSupport);
+
+// Create / update an entry (chipset + cpu_generation)
+router.put("/chipset-support", adminUpsertChipsetSupport);
+
+// Delete an admin entry
+router.delete("/chipset-support/:id", adminDeleteChipsetSupport);
+
 export default router;
@@ -1,10 +1,13 @@
 import express from "express";
 import {
   getComponents,
+  explainComponents,
   getTempBuild,
   addToTempBuild,
   removeFromTempBuild,
   resetTempBuild,
+  undoTempBuild,
+  redoTempBuild,
   saveBuild,
   getUserBuilds,
   getUserBuildById,
@@ -16,46 +19,166 @@ import {
   loadSavedBuildToTemp,
   updateSavedBuild,
   getMySavedBuilds,
+  powerEstimate,
+  tempBuildBalance,
+  savedBuildBalance,
+  listDrafts,
+  createDraft,
+  switchDraft,
+  renameDraft,
+  deleteDraft,
+  compareBuilds,
+  shareBuild,
+  unshareBuild,
+  getSharedBuild,
+  forkSharedBuild,
+  listBuildRevisions,
+  diffBuildRevisions,
+  revertBuildRevision,
+  exportSavedBuild,
+  importBuild,
+  repriceBuild,
+  createGuestSession,
+  mergeGuestBuild,
+  tempBuildSubstitutions,
+  acceptTempSubstitutions,
+  savedBuildSubstitutions,
+  acceptSavedSubstitutions,
 } from "../controllers/builderController.js";
 
 import { requireAuth, requireAdmin } from "../middleware/authMiddleware.js";
+import { resolveDraft } from "../middleware/draftMiddleware.js";
+import { requireUserOrGuest } from "../middleware/guestMiddleware.js";
+import { guestSessionLimiter } from "../middleware/rateLimitMiddleware.js";
 
 const router = express.Router();
 
 /* ======================================================
-   USER — TEMP BUILD WORKFLOW
+   USER / GUEST — TEMP BUILD WORKFLOW
+   Signed-in users or guests (x-guest-token header);
+   guests only have the default draft
 ====================================================== */
-router.get("/temp", requireAuth, getTempBuild); // load temp
-router.post("/temp/add", requireAuth, addToTempBuild); // add part
-router.post("/temp/remove", requireAuth, removeFromTempBuild); // remove part
-router.post("/temp/reset", requireAuth, resetTempBuild); // reset
+router.get("/temp", requireUserOrGuest, resolveDraft, getTempBuild); // load temp
+router.post("/temp/add", requireUserOrGuest, resolveDraft, addToTempBuild); // add part
+router.post(
+  "/temp/remove",
+  requireUserOrGuest,
+  resolveDraft,
+  removeFromTempBuild
+); // remove part
+router.post("/temp/reset", requireUserOrGuest, resolveDraft, resetTempBuild); // reset
+router.post("/temp/undo", requireUserOrGuest, resolveDraft, undoTempBuild); // step back
+router.post("/temp/redo", requireUserOrGuest, resolveDraft, redoTempBuild); // step forward
+
+/* ======================================================
+   GUEST BUILDS (no account → merged on login / signup)
+====================================================== */
+router.post("/guest", guestSessionLimiter, createGuestSession); // → guest_token
+router.post("/guest/merge", requireAuth, mergeGuestBuild); // { guest_token, policy }
+
+/* ======================================================
+   USER — IMPORT PARTS LIST (→ temp build)
+====================================================== */
+router.post("/import", requireAuth, resolveDraft, importBuild); // text / CSV
+
+/* ======================================================
+   USER — DRAFTS (named temp builds)
+   Temp routes take ?draft=<id|default>; without it they
+   use the active draft (see middleware/draftMiddleware.js)
+====================================================== */
+router.get("/drafts", requireAuth, listDrafts); // default + named drafts
+router.post("/drafts", requireAuth, createDraft); // new named draft
+router.post("/drafts/:id/switch", requireAuth, switchDraft); // set active
+router.patch("/drafts/:id", requireAuth, renameDraft); // rename
+router.delete("/drafts/:id", requireAuth, deleteDraft); // delete
 
 /* ======================================================
    USER — COMPONENT LIST FOR PICKER
 ====================================================== */
-router.get("/components", requireAuth, getComponents); // with compatibility filters
+router.get("/components", requireUserOrGuest, resolveDraft, getComponents); // with compatibility filters
+router.get(
+  "/components/explain",
+  requireUserOrGuest,
+  resolveDraft,
+  explainComponents
+); // all parts + reasons
+
+/* ======================================================
+   USER — POWER ESTIMATE
+====================================================== */
+router.post("/power-estimate", requireUserOrGuest, resolveDraft, powerEstimate); // per-part watts + PSU size
+
+/* ======================================================
+   USER — CPU ↔ GPU BALANCE
+====================================================== */
+router.get("/temp/balance", requireUserOrGuest, resolveDraft, tempBuildBalance); // ?use_case&resolution
+router.get("/my/:id/balance", requireAuth, savedBuildBalance);
+
+/* ======================================================
+   USER — OUT-OF-STOCK SUBSTITUTION
+====================================================== */
+router.get(
+  "/temp/substitutions",
+  requireUserOrGuest,
+  resolveDraft,
+  tempBuildSubstitutions
+); // proposals
+router.post(
+  "/temp/substitutions/accept",
+  requireUserOrGuest,
+  resolveDraft,
+  acceptTempSubstitutions
+); // { substitutions? }
+router.get("/my/:id/substitutions", requireAuth, savedBuildSubstitutions);
+router.post(
+  "/my/:id/substitutions/accept",
+  requireAuth,
+  acceptSavedSubstitutions
+);
 
 /* ======================================================
    USER — SAVE / LOAD / MANAGE BUILDS
 ====================================================== */
-router.post("/save", requireAuth, saveBuild);
+router.post("/save", requireAuth, resolveDraft, saveBuild);
 router.get("/my", requireAuth, getUserBuilds);
 router.get("/my/preview", requireAuth, getMySavedBuilds);
 router.get("/my/:id", requireAuth, getUserBuildById);
+router.get("/my/:id/export", requireAuth, exportSavedBuild); // ?format=json|csv|markdown|bbcode
+router.get("/compare", requireAuth, compareBuilds); // ?ids=a,b[,c]
 router.post("/my/:id/duplicate", requireAuth, duplicateBuild);
+router.post("/my/:id/reprice", requireAuth, repriceBuild); // store current prices
 router.delete("/my/:id", requireAuth, deleteBuild);
 
+/* ======================================================
+   SHARE LINKS (public read-only view + fork)
+====================================================== */
+router.post("/my/:id/share", requireAuth, shareBuild); // publish → slug
+router.delete("/my/:id/share", requireAuth, unshareBuild); // revoke
+router.get("/shared/:slug", getSharedBuild); // public, no auth
+router.post("/shared/:slug/fork", requireAuth, resolveDraft, forkSharedBuild); // → saved / temp
+
 /* ======================================================
    USER — LOAD & UPDATE SAVED BUILD
 ====================================================== */
-router.post("/load/:id", requireAuth, loadSavedBuildToTemp);
-router.put("/update/:id", requireAuth, updateSavedBuild);
+router.post("/load/:id", requireAuth, resolveDraft, loadSavedBuildToTemp);
+router.put("/update/:id", requireAuth, resolveDraft, updateSavedBuild);
+
+/* ======================================================
+   USER — SAVED BUILD REVISIONS
+====================================================== */
+router.get("/my/:id/revisions", requireAuth, listBuildRevisions);
+router.get("/my/:id/revisions/diff", requireAuth, diffBuildRevisions); // ?from&to
+router.post(
+  "/my/:id/revisions/:revision/revert",
+  requireAuth,
+  revertBuildRevision
+);
 
 /* ======================================================
    AUTOBUILDER TOOLS
 ====================================================== */
-router.post("/autobuild", requireAuth, autoBuild);
-router.post("/autocomplete", requireAuth, autoComplete);
+router.post("/autobuild", requireAuth, resolveDraft, autoBuild);
+router.post("/autocomplete", requireAuth, resolveDraft, autoComplete);
 
 /* ======================================================
    ADMIN — VIEW ALL BUILDS WITH USER INFO
@@ -5,6 +5,7 @@
 
 import express from "express";
 import { requireAuth } from "../middleware/authMiddleware.js";
+import { resolveDraft } from "../middleware/draftMiddleware.js";
 import {
   getCart,
   addToCart,
@@ -24,7 +25,7 @@ router.use(requireAuth);
  * ---------------------------------------------------------------------------
  * GET    /api/cart/                       → Get user's cart
  * POST   /api/cart/add                    → Add single component
- * POST   /api/cart/addTempBuild           → Add temp build (no save required)
+ * POST   /api/cart/addTempBuild           → Add temp build (no save required, ?draft=)
  * POST   /api/cart/add-build/:buildId     → Add full saved build as bundle
  * DELETE /api/cart/:itemId                → Minus 1 OR remove if qty = 1
  * DELETE /api/cart/deleteRow/:itemId      → Delete entire row
@@ -37,7 +38,7 @@ router.get("/", getCart);
 router.post("/add", addToCart);
 
 // Add TEMP BUILD (new route)
-router.post("/addTempBuild", addTempBuildToCart);
+router.post("/addTempBuild", resolveDraft, addTempBuildToCart);
 
 // Add a complete saved build
 router.post("/add-build/:buildId", addBuildToCart);
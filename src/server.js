@@ -6,6 +6,8 @@ import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
 import registerRoutes from "./routes/index.js";
+import { loadChipsetSupport } from "./models/chipsetSupportModel.js";
+import { purgeExpiredGuestBuilds } from "./models/builderModel.js";
 
 dotenv.config();
 
@@ -27,6 +29,21 @@ app.get("/", (req, res) => res.send("API is running."));
   try {
     await registerRoutes(app);
 
+    // Admin chipset support entries (built-in defaults apply without them)
+    try {
+      await loadChipsetSupport();
+    } catch (err) {
+      console.warn("Chipset support table not loaded:", err.message);
+    }
+
+    // Expired guest temp builds (hourly)
+    const purgeGuests = () =>
+      purgeExpiredGuestBuilds().catch((err) =>
+        console.warn("Guest build cleanup failed:", err.message)
+      );
+    purgeGuests();
+    setInterval(purgeGuests, 60 * 60 * 1000);
+
     app.use((req, res) => res.status(404).json({ error: "Route not found" }));
 
     app.use((err, req, res, next) => {
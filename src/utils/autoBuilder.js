@@ -6,6 +6,8 @@
 
 import * as BuilderModel from "../models/builderModel.js";
 import * as Compatibility from "./compatibility.js";
+import { estimatePower } from "./powerModel.js";
+import { isMultiCategory, slotEntries, slotItems } from "./buildSlots.js";
 
 // ============================================================================
 // TIMEOUT HELPERS
@@ -143,7 +145,7 @@ const priceNum = (c) => {
   }
 };
 
-const cpuScore = (c) => {
+export const cpuScore = (c) => {
   const cores = Number(c?.specs?.cores || 0);
   const threads = Number(c?.specs?.threads || 0);
   const clock =
@@ -153,17 +155,20 @@ const cpuScore = (c) => {
   return perf || cores * 100 + clock * 30 + threads * 10;
 };
 
-const gpuScore = (g) => {
+export const gpuScore = (g) => {
   const p = Number(g?.specs?.performance_score || 0);
   if (p > 0) return p;
   return Number(g?.specs?.tdp || 0) * 10 || priceNum(g);
 };
 
-const memoryScore = (m) =>
+export const memoryScore = (m) =>
   Number(m?.specs?.capacity_gb || 0) * 100 +
   Number(m?.specs?.speed_mhz || 0) / 10;
 
-const storageScore = (s) => {
+// Unknown iGPU info counts as "has graphics" (don't force a card on a guess)
+const cpuHasGraphics = (c) => !!c && c.specs?.has_integrated_graphics !== false;
+
+export const storageScore = (s) => {
   const iface = String(s?.specs?.interface || "").toLowerCase();
   const nvme = /nvme|m\.2|m2|pci/.test(iface) ? 1 : 0;
   return nvme * 10000 + Number(s?.specs?.capacity_gb || 0);
@@ -506,7 +511,11 @@ export const buildFromPurpose = async ({
 
       // ------------------------ GPU
       if (category === "gpu") {
-        if (!cfg.prefer_gpu) {
+        // GPU-optional purposes skip the card only when the CPU can drive a
+        // display itself; otherwise take the cheapest compatible card
+        const needsDisplay = !cfg.prefer_gpu && !cpuHasGraphics(chosen.cpu);
+
+        if (!cfg.prefer_gpu && !needsDisplay) {
           await commit("gpu", null);
           continue;
         }
@@ -520,6 +529,12 @@ export const buildFromPurpose = async ({
         // Filter by compatibility only if it makes sense
         list = list.filter((g) => isCompatibleWithExpanded(expanded, "gpu", g));
 
+        if (needsDisplay) {
+          const cheapest = [...list].sort((a, b) => priceNum(a) - priceNum(b));
+          await commit("gpu", cheapest[0] || null);
+          continue;
+        }
+
         let scored = list
           .map((g) => ({ g, s: gpuScore(g), p: priceNum(g) }))
           .sort((a, b) => b.s - a.s || a.p - b.p);
@@ -584,10 +599,8 @@ export const buildFromPurpose = async ({
           continue;
         }
 
-        const cpuT = Number(chosen.cpu?.specs?.tdp || 0);
-        const gpuT = Number(chosen.gpu?.specs?.tdp || 0);
-
-        const need = Math.max(350, Math.ceil((cpuT + gpuT) * 1.3));
+        // size against the whole build's estimated draw (incl. GPU spikes)
+        const need = Math.max(350, estimatePower(chosen).recommended_psu_watts);
 
         list = list
           .map((p) => ({
@@ -675,7 +688,8 @@ export const buildFromPurpose = async ({
 
           if (cpuSocket && sockets.length && !sockets.includes(cpuSocket))
             return false;
-          if (heightLimit && h > heightLimit) return false;
+          // AIO fit (radiator mounts) is left to the compatibility check
+          if (heightLimit && !c.specs?.liquid && h > heightLimit) return false;
           return true;
         });
 
@@ -683,6 +697,16 @@ export const buildFromPurpose = async ({
           isCompatibleWithExpanded(expanded, "cpu_cooler", c)
         );
 
+        // Prefer coolers rated for the CPU's TDP (under-rated ones only warn)
+        const cpuTdp = Number(chosen.cpu?.specs?.tdp || 0);
+        const adequate = list.filter(
+          (c) =>
+            !cpuTdp ||
+            !Number(c.specs?.tdp_rating || 0) ||
+            Number(c.specs.tdp_rating) >= cpuTdp
+        );
+        if (adequate.length) list = adequate;
+
         if (!list.length) {
           await commit("cpu_cooler", null);
           continue;
@@ -747,12 +771,18 @@ export const buildFromPurpose = async ({
 
       const currentPrice = priceNum(chosen[cat]);
 
+      // an upgrade REPLACES the pick; multi-quantity slots would otherwise
+      // check the candidate as an extra part next to the current one
+      const base = isMultiCategory(cat)
+        ? { ...expanded, [cat]: null }
+        : expanded;
+
       const affordable = sorted.filter((c) => {
         const diff = priceNum(c) - currentPrice;
         return (
           diff > 0 &&
           diff <= remaining &&
-          isCompatibleWithExpanded(expanded, cat, c)
+          isCompatibleWithExpanded(base, cat, c)
         );
       });
 
@@ -794,7 +824,11 @@ export const autoCompleteBuild = async (partial) => {
 
   // 2) Detect purpose (optional logic)
   let purpose = "gaming";
-  if (expanded.memory?.specs?.capacity_gb >= 32) purpose = "workstation";
+  const ramGb = slotItems(expanded.memory).reduce(
+    (sum, kit) => sum + Number(kit.specs?.capacity_gb || 0) * kit.quantity,
+    0
+  );
+  if (ramGb >= 32) purpose = "workstation";
   if (expanded.cpu?.specs?.cores >= 12) purpose = "workstation";
 
   // 3) Use same priority as autobuild for alignment
@@ -805,7 +839,7 @@ export const autoCompleteBuild = async (partial) => {
 
   for (const category of categories) {
     // Skip categories already chosen
-    if (partial[category]) continue;
+    if (slotEntries(partial[category]).length) continue;
 
     // Fetch components in this category
     const list = await BuilderModel.getComponentsWithSpecs(category);
@@ -830,8 +864,10 @@ export const autoCompleteBuild = async (partial) => {
     )[0];
 
     // Commit to build
-    final[category] = cheapest.id;
-    expanded[category] = cheapest; // update expanded so next categories see compatibility
+    final[category] = isMultiCategory(category)
+      ? [{ id: cheapest.id, quantity: 1 }]
+      : cheapest.id;
+    expanded[category] = { ...cheapest, category, quantity: 1 }; // update expanded so next categories see compatibility
   }
 
   return final;
@@ -0,0 +1,158 @@
+// src/utils/balanceAnalysis.js
+// -----------------------------------------------------------------------------
+// CPU ↔ GPU BALANCE
+// Places the build's CPU and GPU on a 0–100 tier scale (their auto-builder
+// cpuScore / gpuScore relative to the strongest part in the catalog) and
+// compares them for a use case and resolution.
+//
+// Higher resolutions shift load onto the GPU, so a weaker CPU keeps up with a
+// given card at 4K than at 1080p; streaming / workstation loads lean on the
+// CPU harder than plain gaming. The result is a rough heuristic — which side
+// holds the other back and by about how much — not a benchmark.
+// -----------------------------------------------------------------------------
+
+import { cpuScore, gpuScore } from "./autoBuilder.js";
+
+// ============================================================================
+// CONSTANTS — tweakable
+// ============================================================================
+
+// CPU tier needed per GPU tier (1.0 = matching tiers)
+export const USE_CASES = {
+  gaming: 1.0,
+  streaming: 1.15,
+  workstation: 1.3,
+  basic: 0.9,
+};
+
+export const RESOLUTIONS = {
+  "1080p": 1.0,
+  "1440p": 0.9,
+  "4k": 0.8,
+};
+
+export const DEFAULT_USE_CASE = "gaming";
+export const DEFAULT_RESOLUTION = "1440p";
+
+// Gap (%) still reported as balanced
+const BALANCED_WITHIN = 15;
+
+// Gap (%) from which a bottleneck counts as severe
+const SEVERE_FROM = 35;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+// Score relative to the strongest catalog part → 0 … 100 (100 = flagship)
+const tierOf = (score, catalogScores) => {
+  const best = Math.max(score, ...catalogScores);
+  if (best <= 0) return 0;
+
+  return Math.round((score / best) * 100);
+};
+
+const describePart = (comp, score, tier) => ({
+  component_id: comp.id,
+  name: comp.name,
+  score: Math.round(score),
+  tier,
+});
+
+const RESOLUTION_ALIASES = { "2160p": "4k", uhd: "4k", qhd: "1440p" };
+
+/** "4K" / "2160p" / "1440P" → key of RESOLUTIONS (or null) */
+export const resolutionKey = (v) => {
+  const text = String(v ?? "")
+    .trim()
+    .toLowerCase();
+  const key = Object.hasOwn(RESOLUTION_ALIASES, text)
+    ? RESOLUTION_ALIASES[text]
+    : text;
+  return Object.hasOwn(RESOLUTIONS, key) ? key : null;
+};
+
+/** Known USE_CASES key (own keys only, so not "constructor") */
+export const isUseCase = (v) =>
+  typeof v === "string" && Object.hasOwn(USE_CASES, v);
+
+// ============================================================================
+// PUBLIC
+// ============================================================================
+
+/**
+ * expanded   expanded build (needs cpu + gpu)
+ * options    { use_case, resolution, catalog: { cpu: [...], gpu: [...] } }
+ *
+ * Returns { status: "incomplete", missing } without both parts, otherwise
+ * { status: "balanced" | "bottleneck", bottleneck: "cpu" | "gpu" | null,
+ *   bottleneck_percent, severity, cpu, gpu, message }.
+ */
+export const analyzeBalance = (expanded = {}, options = {}) => {
+  const useCase = isUseCase(options.use_case)
+    ? options.use_case
+    : DEFAULT_USE_CASE;
+  const resolution = resolutionKey(options.resolution) || DEFAULT_RESOLUTION;
+
+  const cpu = expanded?.cpu;
+  const gpu = expanded?.gpu;
+  const missing = ["cpu", "gpu"].filter((c) => !expanded?.[c]);
+
+  const base = { use_case: useCase, resolution };
+
+  if (missing.length) {
+    return {
+      ...base,
+      status: "incomplete",
+      missing,
+      message: `Add a ${missing.join(" and ")} to analyze balance`,
+    };
+  }
+
+  const cpuScores = (options.catalog?.cpu || []).map(cpuScore);
+  const gpuScores = (options.catalog?.gpu || []).map(gpuScore);
+
+  const cpuTier = tierOf(cpuScore(cpu), cpuScores);
+  const gpuTier = tierOf(gpuScore(gpu), gpuScores);
+
+  // CPU tier this GPU asks for at this use case + resolution
+  const needed = Math.min(
+    100,
+    gpuTier * USE_CASES[useCase] * RESOLUTIONS[resolution]
+  );
+
+  let bottleneck = null;
+  let gap = 0;
+
+  if (cpuTier < needed) {
+    bottleneck = "cpu";
+    gap = Math.round((1 - cpuTier / needed) * 100);
+  } else if (cpuTier > needed) {
+    bottleneck = "gpu";
+    gap = Math.round((1 - needed / Math.max(cpuTier, 1)) * 100);
+  }
+
+  if (gap < BALANCED_WITHIN) bottleneck = null;
+
+  const result = {
+    ...base,
+    status: bottleneck ? "bottleneck" : "balanced",
+    bottleneck,
+    bottleneck_percent: bottleneck ? gap : 0,
+    severity: !bottleneck ? "none" : gap >= SEVERE_FROM ? "severe" : "mild",
+    cpu: describePart(cpu, cpuScore(cpu), cpuTier),
+    gpu: describePart(gpu, gpuScore(gpu), gpuTier),
+  };
+
+  const context = `for ${useCase} at ${resolution}`;
+
+  if (!bottleneck) {
+    result.message = `${cpu.name} and ${gpu.name} are well matched ${context}`;
+  } else if (bottleneck === "cpu") {
+    result.message = `${cpu.name} holds back ${gpu.name} by roughly ${gap}% ${context}`;
+  } else {
+    result.message = `${gpu.name} holds back ${cpu.name} by roughly ${gap}% ${context}`;
+  }
+
+  return result;
+};
@@ -0,0 +1,179 @@
+// src/utils/buildCompare.js
+// -----------------------------------------------------------------------------
+// BUILD COMPARISON
+// Lines up several expanded builds category by category: which parts each
+// build uses, the price per slot, the specs that matter for that category and
+// their difference from the first (baseline) build. Totals cover price and
+// power; each build carries its compatibility status (incompatible / warnings /
+// compatible) and, separately, whether it is complete. diffBuildComponents
+// does the same for two versions of one build (revisions).
+// -----------------------------------------------------------------------------
+
+import { slotItems, itemQuantity, missingParts } from "./buildSlots.js";
+
+// Specs compared per category. `sum` fields add up across multi-quantity
+// slots (2 × 16 GB kits → 32 GB); the rest keep the largest value.
+const KEY_SPECS = {
+  cpu: [{ key: "cores" }, { key: "threads" }, { key: "boost_clock_ghz" }],
+  gpu: [{ key: "memory_gb" }, { key: "boost_clock_mhz" }, { key: "tdp" }],
+  motherboard: [{ key: "memory_slots" }, { key: "max_memory_gb" }],
+  memory: [{ key: "capacity_gb", sum: true }, { key: "speed_mhz" }],
+  storage: [{ key: "capacity_gb", sum: true }],
+  psu: [{ key: "wattage" }],
+  case: [{ key: "max_gpu_length" }, { key: "max_cpu_cooler_height" }],
+  cpu_cooler: [{ key: "tdp_rating" }],
+  case_fan: [],
+};
+
+const CATEGORIES = Object.keys(KEY_SPECS);
+
+const round = (v) => Math.round(v * 100) / 100;
+
+const delta = (value, base) =>
+  value == null || base == null ? null : round(value - base);
+
+// Key spec values of one slot (null when no part reports them)
+const slotSpecs = (category, items) => {
+  const specs = {};
+
+  for (const { key, sum } of KEY_SPECS[category] || []) {
+    const values = items
+      .map((c) => ({ v: Number(c.specs?.[key]), q: itemQuantity(c) }))
+      .filter(({ v }) => Number.isFinite(v));
+
+    if (!values.length) specs[key] = null;
+    else if (sum) specs[key] = values.reduce((t, { v, q }) => t + v * q, 0);
+    else specs[key] = Math.max(...values.map(({ v }) => v));
+  }
+
+  return specs;
+};
+
+const slotPrice = (items) =>
+  round(items.reduce((t, c) => t + Number(c.price || 0) * itemQuantity(c), 0));
+
+const slotParts = (items) =>
+  items.map((c) => ({ id: c.id, name: c.name, quantity: itemQuantity(c) }));
+
+// Sorted "id×qty" list, to tell identical slots apart from different ones
+const slotSignature = (items) =>
+  items
+    .map((c) => `${c.id}×${itemQuantity(c)}`)
+    .sort()
+    .join(",");
+
+// Severity only; completeness is reported separately (missingParts)
+const compatibilityStatus = (check) => {
+  if (!check.ok) return "incompatible";
+  if (check.counts?.warning) return "warnings";
+  return "compatible";
+};
+
+/**
+ * builds  [{ build, expanded, summary, compatibility }] (first = baseline)
+ *         `build` is the saved row, `compatibility` a checkWholeBuild result.
+ *
+ * Returns { builds, categories, totals }. Every per-build array follows the
+ * order of `builds`; deltas are against the baseline.
+ */
+export const compareBuilds = (builds = []) => {
+  const [base] = builds;
+
+  const categories = CATEGORIES.filter((category) =>
+    builds.some(({ expanded }) => slotItems(expanded[category]).length)
+  ).map((category) => {
+    const slots = builds.map(({ build, expanded }) => {
+      const items = slotItems(expanded[category]);
+
+      return {
+        build_id: build.id,
+        parts: slotParts(items),
+        price: slotPrice(items),
+        specs: slotSpecs(category, items),
+        signature: slotSignature(items),
+      };
+    });
+
+    const [baseSlot] = slots;
+    const spec_deltas = {};
+
+    for (const { key } of KEY_SPECS[category]) {
+      spec_deltas[key] = slots.map((s) =>
+        delta(s.specs[key], baseSlot.specs[key])
+      );
+    }
+
+    return {
+      category,
+      same: slots.every((s) => s.signature === baseSlot.signature),
+      slots: slots.map(({ signature, ...slot }) => slot),
+      price_delta: slots.map((s) => delta(s.price, baseSlot.price)),
+      spec_deltas,
+    };
+  });
+
+  const summaries = builds.map(
+    ({ build, expanded, summary, compatibility }) => ({
+      id: build.id,
+      name: build.name,
+      total_price: round(summary.total_price),
+      power_usage: summary.power_usage,
+      peak_power: summary.peak_power,
+      recommended_psu_watts: summary.recommended_psu_watts,
+      compatibility: {
+        status: compatibilityStatus(compatibility),
+        ok: compatibility.ok,
+        complete: !missingParts(expanded).length,
+        missing: missingParts(expanded),
+        counts: compatibility.counts,
+        issues: compatibility.issues,
+      },
+    })
+  );
+
+  const [baseSummary] = summaries;
+
+  return {
+    baseline_id: base?.build.id ?? null,
+    builds: summaries,
+    categories,
+    totals: {
+      price: summaries.map((s) => s.total_price),
+      price_delta: summaries.map((s) =>
+        delta(s.total_price, baseSummary.total_price)
+      ),
+      power_usage: summaries.map((s) => s.power_usage),
+      power_delta: summaries.map((s) =>
+        delta(s.power_usage, baseSummary.power_usage)
+      ),
+    },
+  };
+};
+
+/**
+ * Category-by-category change between two expanded versions of one build
+ * (e.g. two revisions). Each entry: { category, change, from, to,
+ * price_delta } with change "added" | "removed" | "changed" | "same".
+ */
+export const diffBuildComponents = (fromExpanded = {}, toExpanded = {}) =>
+  CATEGORIES.filter(
+    (category) =>
+      slotItems(fromExpanded[category]).length ||
+      slotItems(toExpanded[category]).length
+  ).map((category) => {
+    const before = slotItems(fromExpanded[category]);
+    const after = slotItems(toExpanded[category]);
+
+    let change = "same";
+    if (!before.length) change = "added";
+    else if (!after.length) change = "removed";
+    else if (slotSignature(before) !== slotSignature(after)) change = "changed";
+
+    return {
+      category,
+      change,
+      from: slotParts(before),
+      to: slotParts(after),
+      price_delta: round(slotPrice(after) - slotPrice(before)),
+    };
+  });
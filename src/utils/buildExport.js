@@ -0,0 +1,225 @@
+// src/utils/buildExport.js
+// -----------------------------------------------------------------------------
+// BUILD EXPORT
+// Renders an expanded build + its summary and compatibility report as a
+// portable JSON document, CSV, a markdown table or a BBCode table (forums /
+// Facebook groups). Every format carries the parts, totals, power usage and
+// the compatibility notes.
+// -----------------------------------------------------------------------------
+
+import { expandedParts } from "./buildSlots.js";
+
+export const EXPORT_FORMATS = {
+  json: { contentType: "application/json", extension: "json" },
+  csv: { contentType: "text/csv", extension: "csv" },
+  markdown: { contentType: "text/markdown", extension: "md" },
+  bbcode: { contentType: "text/plain", extension: "txt" },
+};
+
+// Row order in tables (other categories follow in build order)
+const CATEGORY_ORDER = [
+  "cpu",
+  "cpu_cooler",
+  "motherboard",
+  "memory",
+  "storage",
+  "gpu",
+  "case",
+  "case_fan",
+  "psu",
+];
+
+const CATEGORY_LABELS = {
+  cpu: "CPU",
+  cpu_cooler: "CPU Cooler",
+  motherboard: "Motherboard",
+  memory: "Memory",
+  storage: "Storage",
+  gpu: "Video Card",
+  case: "Case",
+  case_fan: "Case Fan",
+  psu: "Power Supply",
+};
+
+const money = (v) => Number(v || 0).toFixed(2);
+
+const label = (category) => CATEGORY_LABELS[category] || category;
+
+// Part rows in display order
+const partRows = (expanded) =>
+  expandedParts(expanded)
+    .filter(({ component }) => component?.id)
+    .map(({ category, component, quantity }) => ({
+      category,
+      component_id: component.id,
+      name: component.name,
+      quantity,
+      price_each: Number(component.price || 0),
+      price: Number(component.price || 0) * quantity,
+      specs: component.specs || {},
+    }))
+    .sort(
+      (a, b) =>
+        (CATEGORY_ORDER.indexOf(a.category) + 1 || 99) -
+        (CATEGORY_ORDER.indexOf(b.category) + 1 || 99)
+    );
+
+// Compatibility issues as "[severity] message" lines; `text` escapes the
+// message for the target format
+const notes = (compatibility, text = String) =>
+  (compatibility?.issues || []).map(
+    (i) => `[${String(i.severity).toUpperCase()}] ${text(i.message)}`
+  );
+
+// Names are user / catalog text: keep them on one line
+const oneLine = (v) =>
+  String(v ?? "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const powerLine = (summary) =>
+  `${summary.power_usage} W sustained / ${summary.peak_power} W peak ` +
+  `(recommended PSU ${summary.recommended_psu_watts} W)`;
+
+// ============================================================================
+// RENDERERS
+// ============================================================================
+
+const toJson = ({ build, rows, summary, compatibility }) =>
+  JSON.stringify(
+    {
+      format: "pc-build",
+      version: 1,
+      exported_at: new Date().toISOString(),
+      name: build.name,
+      parts: rows,
+      totals: {
+        price: Number(summary.total_price || 0),
+        power_usage: summary.power_usage,
+        peak_power: summary.peak_power,
+        recommended_psu_watts: summary.recommended_psu_watts,
+      },
+      compatibility: {
+        ok: compatibility.ok,
+        counts: compatibility.counts,
+        issues: compatibility.issues,
+      },
+    },
+    null,
+    2
+  );
+
+// Cells a spreadsheet would run as a formula (=, +, -, @, tab, CR) get a
+// leading ' so names are shown as text
+const csvCell = (v) => {
+  const raw = String(v ?? "");
+  const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = ({ rows, summary, compatibility }) => {
+  const lines = [["Category", "Part", "Quantity", "Price Each", "Price"]];
+
+  for (const r of rows) {
+    lines.push([
+      label(r.category),
+      r.name,
+      r.quantity,
+      money(r.price_each),
+      money(r.price),
+    ]);
+  }
+
+  lines.push([]);
+  lines.push(["Total", "", "", "", money(summary.total_price)]);
+  lines.push(["Power", powerLine(summary)]);
+  for (const note of notes(compatibility)) lines.push(["Note", note]);
+
+  return lines.map((line) => line.map(csvCell).join(",")).join("\n") + "\n";
+};
+
+// Backslash-escape markdown syntax (links, emphasis, code, html, table pipes)
+const mdText = (v) => oneLine(v).replace(/[\\`*_[\]<>|#]/g, "\\$&");
+
+const toMarkdown = ({ build, rows, summary, compatibility }) => {
+  const lines = [
+    `## ${mdText(build.name)}`,
+    "",
+    "| Type | Item | Qty | Price |",
+    "| :--- | :--- | ---: | ---: |",
+    ...rows.map(
+      (r) =>
+        `| ${label(r.category)} | ${mdText(r.name)} | ${r.quantity} | ` +
+        `${money(r.price)} |`
+    ),
+    `| **Total** | | | **${money(summary.total_price)}** |`,
+    "",
+    `**Power:** ${powerLine(summary)}`,
+  ];
+
+  const issues = notes(compatibility, mdText);
+  if (issues.length) {
+    lines.push("", "**Compatibility notes:**", ...issues.map((n) => `- ${n}`));
+  }
+
+  return lines.join("\n") + "\n";
+};
+
+// BBCode has no escape sequence: brackets become parentheses so names can't
+// open or close tags
+const bbText = (v) => oneLine(v).replace(/\[/g, "(").replace(/\]/g, ")");
+
+const toBbcode = ({ build, rows, summary, compatibility }) => {
+  const lines = [
+    `[b]${bbText(build.name)}[/b]`,
+    "[table]",
+    "[tr][th]Type[/th][th]Item[/th][th]Qty[/th][th]Price[/th][/tr]",
+    ...rows.map(
+      (r) =>
+        `[tr][td]${label(r.category)}[/td][td]${bbText(r.name)}[/td]` +
+        `[td]${r.quantity}[/td][td]${money(r.price)}[/td][/tr]`
+    ),
+    `[tr][td][b]Total[/b][/td][td][/td][td][/td]` +
+      `[td][b]${money(summary.total_price)}[/b][/td][/tr]`,
+    "[/table]",
+    `[b]Power:[/b] ${powerLine(summary)}`,
+  ];
+
+  const issues = notes(compatibility, bbText);
+  if (issues.length) {
+    lines.push(
+      "[b]Compatibility notes:[/b]",
+      "[list]",
+      ...issues.map((n) => `[*]${n}`),
+      "[/list]"
+    );
+  }
+
+  return lines.join("\n") + "\n";
+};
+
+const RENDERERS = {
+  json: toJson,
+  csv: toCsv,
+  markdown: toMarkdown,
+  bbcode: toBbcode,
+};
+
+/**
+ * build          saved build row (name used as the title)
+ * expanded       expandComponents() result
+ * summary        buildSummary() result
+ * compatibility  checkWholeBuild() result
+ *
+ * Returns the rendered document as a string.
+ */
+export const exportBuild = (
+  format,
+  { build, expanded, summary, compatibility }
+) =>
+  RENDERERS[format]({
+    build,
+    rows: partRows(expanded),
+    summary,
+    compatibility,
+  });
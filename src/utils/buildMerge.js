@@ -0,0 +1,87 @@
+// src/utils/buildMerge.js
+// -----------------------------------------------------------------------------
+// GUEST → ACCOUNT BUILD MERGE
+// Folds a guest temp build into the account's temp build on login / signup.
+// Conflict policy for categories both builds fill:
+//   "account"  (default) single-part slots keep the account's part
+//   "guest"    single-part slots take the guest's part
+//   "replace"  the guest build replaces the account build outright
+// Multi-quantity slots (memory, storage, case fans) are combined under
+// "account" / "guest" — same parts add up, capped at MAX_QUANTITY.
+// -----------------------------------------------------------------------------
+
+import { isMultiCategory, slotEntries, MAX_QUANTITY } from "./buildSlots.js";
+
+export const MERGE_POLICIES = ["account", "guest", "replace"];
+export const DEFAULT_MERGE_POLICY = "account";
+
+const realCategories = (components) =>
+  Object.keys(components || {}).filter(
+    (c) => !c.startsWith("__") && slotEntries(components[c]).length
+  );
+
+/**
+ * Returns { components, conflicts } where conflicts lists every category
+ * both builds filled: { category, kept: "account" | "guest" | "combined",
+ * account, guest } (stored slot values).
+ */
+export const mergeGuestBuild = (
+  account = {},
+  guest = {},
+  policy = DEFAULT_MERGE_POLICY
+) => {
+  const conflicts = [];
+  const merged = policy === "replace" ? {} : { ...(account || {}) };
+
+  for (const category of realCategories(guest)) {
+    const guestValue = guest[category];
+    const accountValue = account?.[category];
+    const both = slotEntries(accountValue).length > 0;
+
+    if (!both) {
+      merged[category] = guestValue;
+      continue;
+    }
+
+    if (policy === "replace") {
+      merged[category] = guestValue;
+      conflicts.push({
+        category,
+        kept: "guest",
+        account: accountValue,
+        guest: guestValue,
+      });
+      continue;
+    }
+
+    if (isMultiCategory(category)) {
+      merged[category] = slotEntries([
+        ...slotEntries(accountValue),
+        ...slotEntries(guestValue),
+      ]).map((e) => ({ ...e, quantity: Math.min(e.quantity, MAX_QUANTITY) }));
+
+      conflicts.push({
+        category,
+        kept: "combined",
+        account: accountValue,
+        guest: guestValue,
+      });
+      continue;
+    }
+
+    const same =
+      String(slotEntries(accountValue)[0].id) ===
+      String(slotEntries(guestValue)[0].id);
+    if (same) continue;
+
+    merged[category] = policy === "guest" ? guestValue : accountValue;
+    conflicts.push({
+      category,
+      kept: policy,
+      account: accountValue,
+      guest: guestValue,
+    });
+  }
+
+  return { components: merged, conflicts };
+};
@@ -0,0 +1,101 @@
+// src/utils/buildSlots.js
+// -----------------------------------------------------------------------------
+// BUILD SLOTS
+// A build maps each category to its part(s). Most categories hold exactly one
+// component id; multi-quantity categories (drives, RAM kits, case fans) hold a
+// list of { id, quantity } entries:
+//
+//   { cpu: "<id>", memory: [{ id: "<id>", quantity: 2 }], storage: [...] }
+//
+// A plain id in a multi category (older builds, auto-builder output) is read
+// as a single entry with quantity 1. Expanded builds mirror the same shape:
+// multi categories become an array of components carrying `quantity`.
+// -----------------------------------------------------------------------------
+
+export const MULTI_CATEGORIES = ["memory", "storage", "case_fan"];
+
+// Per-entry ceiling so a typo can't add 500 drives
+export const MAX_QUANTITY = 8;
+
+// Categories a build needs before it counts as complete
+export const REQUIRED_PARTS = ["cpu", "motherboard", "memory", "psu", "case"];
+
+export const isMultiCategory = (category) =>
+  MULTI_CATEGORIES.includes(category);
+
+const toQuantity = (q) => {
+  const value = Math.floor(Number(q));
+  return Number.isFinite(value) && value > 0 ? value : 1;
+};
+
+// -----------------------------------------------------------------------------
+// STORED SLOTS (ids)
+// -----------------------------------------------------------------------------
+
+/** Stored slot value → [{ id, quantity }] (same id entries merged) */
+export const slotEntries = (value) => {
+  if (!value) return [];
+
+  const raw = Array.isArray(value) ? value : [value];
+  const entries = [];
+
+  for (const item of raw) {
+    const id = typeof item === "object" && item !== null ? item.id : item;
+    if (!id) continue;
+
+    const quantity = toQuantity(item?.quantity);
+    const existing = entries.find((e) => e.id === id);
+
+    if (existing) existing.quantity += quantity;
+    else entries.push({ id, quantity });
+  }
+
+  return entries;
+};
+
+/** Add `quantity` of a component to a multi slot (merges the same id) */
+export const addToSlot = (value, id, quantity = 1) =>
+  slotEntries([...slotEntries(value), { id, quantity: toQuantity(quantity) }]);
+
+/** Drop one component id from a multi slot */
+export const removeFromSlot = (value, id) =>
+  slotEntries(value).filter((e) => e.id !== id);
+
+/** Total units across a slot's entries */
+export const slotQuantity = (value) =>
+  slotEntries(value).reduce((sum, e) => sum + e.quantity, 0);
+
+// -----------------------------------------------------------------------------
+// EXPANDED SLOTS (components)
+// -----------------------------------------------------------------------------
+
+/** Expanded slot (one component or a list) → array of components */
+export const slotItems = (value) => {
+  if (!value || typeof value !== "object") return [];
+  return Array.isArray(value) ? value.filter(Boolean) : [value];
+};
+
+/** REQUIRED_PARTS an expanded build has nothing in */
+export const missingParts = (expanded = {}) =>
+  REQUIRED_PARTS.filter((c) => !slotItems(expanded?.[c]).length);
+
+/** Units of one expanded component (single slots are always 1) */
+export const itemQuantity = (comp) => toQuantity(comp?.quantity);
+
+/**
+ * Flatten an expanded build into { category, component, quantity } rows,
+ * skipping `__` markers. Used for totals, cart bundles and checkout.
+ */
+export const expandedParts = (expanded = {}) => {
+  const rows = [];
+
+  for (const [category, value] of Object.entries(expanded || {})) {
+    if (category.startsWith("__")) continue;
+
+    for (const component of slotItems(value)) {
+      rows.push({ category, component, quantity: itemQuantity(component) });
+    }
+  }
+
+  return rows;
+};
@@ -0,0 +1,148 @@
+// src/utils/chipsetSupport.js
+// -----------------------------------------------------------------------------
+// CHIPSET ↔ CPU GENERATION SUPPORT
+// Socket match alone isn't enough: older chipsets need a BIOS update for newer
+// CPUs, or don't run them at all. This table is what the compatibility rules
+// consult (synchronously). Built-in defaults cover the catalog; admin entries
+// from the `chipset_cpu_support` table (see models/chipsetSupportModel.js)
+// override them per chipset + generation.
+//
+// support: "native" | "bios_update" | "unsupported"
+// Pairs not listed are not judged (socket rules still apply).
+// -----------------------------------------------------------------------------
+
+import { generationKey } from "./specValues.js";
+
+export const SUPPORT_LEVELS = ["native", "bios_update", "unsupported"];
+
+// [chipsets, generation, support, note]
+const DEFAULTS = [
+  // ----------------------------- AMD AM4
+  [["A320", "B350", "X370"], "ZEN 2", "bios_update", null],
+  [
+    ["A320", "B350", "X370"],
+    "ZEN 3",
+    "bios_update",
+    "Ryzen 5000 support added in 2022 BIOS releases",
+  ],
+  [["B450", "X470"], "ZEN 2", "bios_update", null],
+  [["B450", "X470"], "ZEN 3", "bios_update", null],
+  [["A520", "B550"], "ZEN", "unsupported", null],
+  [["A520", "B550"], "ZEN+", "unsupported", null],
+  [["A520", "B550"], "ZEN 2", "native", null],
+  [["A520", "B550"], "ZEN 3", "native", null],
+  [["X570"], "ZEN", "unsupported", null],
+  [["X570", "X570S"], "ZEN+", "native", null],
+  [["X570", "X570S"], "ZEN 2", "native", null],
+  [
+    ["X570"],
+    "ZEN 3",
+    "bios_update",
+    "Boards made before late 2020 ship with a pre-Ryzen 5000 BIOS",
+  ],
+  [["X570S"], "ZEN 3", "native", null],
+
+  // ----------------------------- AMD AM5
+  [["A620", "B650", "B650E", "X670", "X670E"], "ZEN 4", "native", null],
+  [
+    ["A620", "B650", "B650E", "X670", "X670E"],
+    "ZEN 5",
+    "bios_update",
+    "Needs an AGESA 1.2.0.0+ BIOS",
+  ],
+  [["B850", "X870", "X870E"], "ZEN 4", "native", null],
+  [["B850", "X870", "X870E"], "ZEN 5", "native", null],
+
+  // ----------------------------- Intel LGA1700
+  [["H610", "B660", "H670", "Z690"], "ALDER LAKE", "native", null],
+  [["H610", "B660", "H670", "Z690"], "RAPTOR LAKE", "bios_update", null],
+  [
+    ["H610", "B660", "H670", "Z690"],
+    "RAPTOR LAKE REFRESH",
+    "bios_update",
+    null,
+  ],
+  [["B760", "H770", "Z790"], "ALDER LAKE", "native", null],
+  [["B760", "H770", "Z790"], "RAPTOR LAKE", "native", null],
+  [
+    ["B760", "H770", "Z790"],
+    "RAPTOR LAKE REFRESH",
+    "bios_update",
+    "Early 700-series boards need a BIOS update for 14th gen",
+  ],
+
+  // ----------------------------- Intel LGA1851
+  [["H810", "B860", "Z890"], "ARROW LAKE", "native", null],
+];
+
+export const chipsetKey = (v) => {
+  const text = String(v ?? "").trim();
+  return text ? text.toUpperCase() : null;
+};
+
+const entryKey = (chipset, generation) =>
+  `${chipsetKey(chipset)}|${generationKey(generation)}`;
+
+const defaults = new Map();
+for (const [chipsets, generation, support, note] of DEFAULTS) {
+  for (const chipset of chipsets) {
+    defaults.set(entryKey(chipset, generation), {
+      chipset,
+      cpu_generation: generation,
+      support,
+      note,
+    });
+  }
+}
+
+// Admin overrides (replaced wholesale by setChipsetSupportOverrides)
+let overrides = new Map();
+
+// -----------------------------------------------------------------------------
+// TABLE
+// -----------------------------------------------------------------------------
+
+/** Replace the admin overrides with DB rows ({ chipset, cpu_generation, ... }) */
+export const setChipsetSupportOverrides = (rows = []) => {
+  const next = new Map();
+
+  for (const row of rows) {
+    if (!row?.chipset || !row?.cpu_generation) continue;
+    if (!SUPPORT_LEVELS.includes(row.support)) continue;
+
+    next.set(entryKey(row.chipset, row.cpu_generation), {
+      ...row,
+      chipset: chipsetKey(row.chipset),
+      cpu_generation: generationKey(row.cpu_generation),
+    });
+  }
+
+  overrides = next;
+};
+
+/** Effective entry for a chipset + CPU generation, or null when unlisted */
+export const lookupChipsetSupport = (chipset, generation) => {
+  if (!chipsetKey(chipset) || !generationKey(generation)) return null;
+
+  const key = entryKey(chipset, generation);
+  const entry = overrides.get(key) || defaults.get(key);
+  if (!entry) return null;
+
+  return { ...entry, source: overrides.has(key) ? "custom" : "default" };
+};
+
+/** Whole effective table (defaults merged with admin overrides) */
+export const listChipsetSupport = () => {
+  const keys = new Set([...defaults.keys(), ...overrides.keys()]);
+
+  return [...keys]
+    .map((key) => {
+      const [chipset, generation] = key.split("|");
+      return lookupChipsetSupport(chipset, generation);
+    })
+    .sort(
+      (a, b) =>
+        a.chipset.localeCompare(b.chipset) ||
+        a.cpu_generation.localeCompare(b.cpu_generation)
+    );
+};
@@ -1,11 +1,15 @@
 // src/utils/compatibility.js
 // -----------------------------------------------------------------------------
 // COMPLETE PC BUILD COMPATIBILITY ENGINE (Hardened - Normalized comparisons)
-// Handles CPU ↔ Motherboard, RAM, GPU size, PSU wattage, case form-factor,
-// storage (NVMe slots), and cooler compatibility. All checks return consistent
-// messages. Comparisons are normalized (case-insensitive) and null-safe.
+// Applies the declarative rules from compatibilityRules.js (CPU ↔ Motherboard,
+// RAM, GPU size, PSU wattage, case form-factor, storage, cooler) in both
+// directions. Comparisons are normalized (case-insensitive) and null-safe.
 // -----------------------------------------------------------------------------
 
+import { RULES } from "./compatibilityRules.js";
+import { estimatePower } from "./powerModel.js";
+import { isMultiCategory, slotItems, itemQuantity } from "./buildSlots.js";
+
 // Safe spec getter
 const get = (obj, key) => {
   if (!obj || !obj.specs) return null;
@@ -17,257 +21,215 @@ const get = (obj, key) => {
   return null;
 };
 
-// Normalize helper for strings
-const norm = (v) => {
-  if (v === null || v === undefined) return null;
-  if (typeof v === "string") return v.trim().toLowerCase();
-  return v;
-};
-
-// Normalize helper for array-of-strings
-const normArray = (arr) => {
-  if (!Array.isArray(arr)) return [];
-  return arr.map((x) => (x ? String(x).trim().toLowerCase() : ""));
-};
-
-// Numeric safe
-const n = (v) => {
-  const num = Number(v);
-  return Number.isFinite(num) ? num : 0;
+// -----------------------------------------------------------------------------
+//  ISSUES
+// Every failed rule is reported as an issue with a stable `code`, the
+// categories involved (the rule's pair), a severity and a human-readable message.
+// -----------------------------------------------------------------------------
+export const SEVERITY = {
+  ERROR: "error",
+  WARNING: "warning",
+  INFO: "info",
 };
 
-// PSU safety multiplier (recommended headroom). Tweakable.
-const PSU_HEADROOM = 1.25;
+const issue = (code, categories, message, severity = SEVERITY.ERROR) => ({
+  severity,
+  code,
+  categories,
+  message,
+});
 
 // -----------------------------------------------------------------------------
-//  SINGLE COMPONENT VALIDATION AGAINST CURRENT BUILD
+//  RULE ENGINE
 // -----------------------------------------------------------------------------
-export const checkComponentAgainstBuild = (build, category, comp) => {
-  // ensure `build` categories are present (may be expanded objects)
-  const cpu = build?.cpu || null;
-  const mb = build?.motherboard || null;
-  const ram = build?.memory || null;
-  const gpu = build?.gpu || null;
-  const psu = build?.psu || null;
-  const casing = build?.case || null;
-  const cooler = build?.cpu_cooler || null;
-
-  // normalize some spec values we will compare
-  const compSocket = norm(get(comp, "socket"));
-  const compForm = norm(get(comp, "form_factor"));
-  const compIface = norm(get(comp, "interface"));
-  const compCategory = (
-    comp.category ||
-    comp.category_id ||
-    comp.specs?.category ||
-    ""
-  ).toString();
-
-  // ----------------------------- CPU ↔ Motherboard
-  if (category === "cpu" && mb) {
-    const mbSocket = norm(get(mb, "socket"));
-    if (mbSocket && compSocket && mbSocket !== compSocket) {
-      return { ok: false, reason: "CPU socket does not match motherboard" };
-    }
-  }
+const sideCategories = (side) => (Array.isArray(side) ? side : [side]);
 
-  if (category === "motherboard" && cpu) {
-    const cpuSocket = norm(get(cpu, "socket"));
-    const mSocket = norm(get(comp, "socket"));
-    if (cpuSocket && mSocket && cpuSocket !== mSocket) {
-      return { ok: false, reason: "Motherboard socket does not match CPU" };
-    }
-  }
-
-  // ----------------------------- Motherboard ↔ RAM
-  if (category === "memory" && mb) {
-    const ramType = norm(get(comp, "type"));
-    const mbType = norm(get(mb, "memory_type"));
+const isMissing = (v) =>
+  v === null ||
+  v === undefined ||
+  v === "" ||
+  (Array.isArray(v) && v.length === 0);
 
-    if (ramType && mbType && ramType !== mbType) {
-      return { ok: false, reason: "RAM type incompatible with motherboard" };
-    }
+// Read the rule's field(s) for one component
+const readFields = (comp, fields) => {
+  if (!Array.isArray(fields)) return get(comp, fields);
 
-    const mbMax = n(get(mb, "max_memory_speed_mhz"));
-    const ramSpeed = n(get(comp, "speed_mhz"));
+  const out = {};
+  for (const f of fields) out[f] = get(comp, f);
+  return out;
+};
 
-    if (mbMax && ramSpeed > mbMax) {
-      return { ok: false, reason: "RAM speed exceeds motherboard limit" };
-    }
+const isMissingValue = (value) =>
+  value && typeof value === "object" && !Array.isArray(value)
+    ? Object.values(value).every(isMissing)
+    : isMissing(value);
+
+// Aggregate sides read every listed part → [{ ...fields, quantity }]
+const readAggregate = (value, fields) =>
+  slotItems(value)
+    .map((comp) => ({
+      ...readFields(comp, [].concat(fields)),
+      quantity: itemQuantity(comp),
+    }))
+    .filter(({ quantity, ...fieldValues }) => !isMissingValue(fieldValues));
+
+// Resolve one side of a rule against the parts → { value, present } or null
+const resolveSide = (rule, side, parts) => {
+  const isGroup = Array.isArray(side);
+  const present = [];
+  const values = [];
+
+  for (const cat of sideCategories(side)) {
+    const comp = parts[cat];
+    if (!comp || typeof comp !== "object") continue;
+
+    const value = rule.aggregate?.includes(cat)
+      ? readAggregate(comp, rule.fields[cat])
+      : readFields(comp, rule.fields[cat]);
+    if (isMissingValue(value)) continue;
+
+    present.push(cat);
+    values.push(value);
   }
 
-  if (category === "motherboard" && ram) {
-    const ramType = norm(get(ram, "type"));
-    const mbType = norm(get(comp, "memory_type"));
+  if (!present.length) return null;
+  return { value: isGroup ? values : values[0], present };
+};
 
-    if (ramType && mbType && ramType !== mbType) {
-      return {
-        ok: false,
-        reason: "Motherboard RAM type incompatible with RAM",
-      };
-    }
-  }
+// `optional` sides may be absent (e.g. "no GPU"): they resolve to a null value
+// and the rule decides from ctx.parts
+const resolveOptional = (rule, side, parts) => {
+  const resolved = resolveSide(rule, side, parts);
+  if (resolved) return resolved;
 
-  // ----------------------------- GPU ↔ Case (length)
-  if (category === "gpu" && casing) {
-    const gpuLen = n(get(comp, "length"));
-    const maxLen = n(get(casing, "max_gpu_length"));
+  const optional = sideCategories(side).every((c) =>
+    rule.optional?.includes(c)
+  );
+  return optional ? { value: null, present: [] } : null;
+};
 
-    if (gpuLen && maxLen && gpuLen > maxLen) {
-      return { ok: false, reason: "GPU is too long for the case" };
-    }
-  }
+const ruleCategories = (rule) => rule.between.flatMap(sideCategories);
 
-  if (category === "case" && gpu) {
-    const gpuLen = n(get(gpu, "length"));
-    const maxLen = n(get(comp, "max_gpu_length"));
+// Multi-quantity slots hold a list of parts: per-part rules run once for each
+// listed part (one variant of `parts` per combination); aggregate rules see
+// the whole list.
+const partVariants = (rule, parts) => {
+  let variants = [parts];
 
-    if (gpuLen && maxLen && gpuLen > maxLen) {
-      return { ok: false, reason: "Case cannot fit the selected GPU" };
-    }
-  }
+  for (const cat of ruleCategories(rule)) {
+    if (!Array.isArray(parts[cat]) || rule.aggregate?.includes(cat)) continue;
 
-  // ----------------------------- CPU Cooler ↔ Case / CPU
-  if (category === "cpu_cooler") {
-    const height = n(get(comp, "height"));
-    const maxH = n(get(casing, "max_cpu_cooler_height"));
-
-    if (casing && height && maxH && height > maxH) {
-      return { ok: false, reason: "Cooler height exceeds case clearance" };
-    }
-
-    if (cpu) {
-      const socket = norm(get(cpu, "socket"));
-      const supported = normArray(comp.specs?.compatible_sockets || []);
-      if (socket && supported.length && !supported.includes(socket)) {
-        return { ok: false, reason: "Cooler not compatible with CPU socket" };
-      }
-    }
+    variants = variants.flatMap((v) =>
+      parts[cat].map((item) => ({ ...v, [cat]: item }))
+    );
   }
 
-  if (category === "case" && cooler) {
-    const coolerH = n(get(cooler, "height"));
-    const maxH = n(get(comp, "max_cpu_cooler_height"));
+  return variants;
+};
+
+// Evaluate a single rule against a set of parts → issues (identical findings
+// from several listed parts are reported once)
+const evaluateRule = (rule, parts, power = estimatePower(parts)) => {
+  const [leftSide, rightSide] = rule.between;
+  const found = [];
 
-    if (coolerH && maxH && coolerH > maxH) {
-      return { ok: false, reason: "Case cannot fit the selected cooler" };
-    }
-  }
+  for (const variant of partVariants(rule, parts)) {
+    const left = resolveOptional(rule, leftSide, variant);
+    const right = resolveOptional(rule, rightSide, variant);
+    if (!left || !right) continue;
 
-  // ----------------------------- PSU Wattage (explicit headroom)
-  if (category === "psu" && (cpu || gpu)) {
-    const psuW = n(get(comp, "wattage"));
-    const cpuTDP = n(get(cpu, "tdp"));
-    const gpuTDP = n(get(gpu, "tdp"));
-    const required = cpuTDP + gpuTDP;
+    const ctx = { parts, power };
 
-    if (psuW && required && psuW < Math.ceil(required * PSU_HEADROOM)) {
-      return { ok: false, reason: "PSU wattage insufficient for the build" };
-    }
-  }
+    const result = rule.compare(left.value, right.value, ctx);
+    if (result === true || result === null || result === undefined) continue;
 
-  if (category === "gpu" && psu) {
-    const psuW = n(get(psu, "wattage"));
-    const gpuTDP = n(get(comp, "tdp"));
-    const cpuTDP = cpu ? n(get(cpu, "tdp")) : 0;
-    const required = cpuTDP + gpuTDP;
+    const severity =
+      typeof result === "string" ? result : rule.severity || SEVERITY.ERROR;
+    const message = rule.message(left.value, right.value, severity, ctx);
 
-    if (psuW && required && psuW < Math.ceil(required * PSU_HEADROOM)) {
-      return { ok: false, reason: "PSU cannot support CPU + GPU load" };
-    }
+    if (found.some((i) => i.message === message)) continue;
+
+    found.push(
+      issue(rule.code, [...left.present, ...right.present], message, severity)
+    );
   }
 
-  // ----------------------------- Case ↔ Motherboard (form factor)
-  if (category === "case" && mb) {
-    const mbForm = norm(get(mb, "form_factor"));
-    const supported = normArray(comp.specs?.form_factor_support || []);
+  return found;
+};
+
+const ruleTouches = (rule, category) => ruleCategories(rule).includes(category);
 
-    // FIX: allow if missing info
-    if (!supported.length || !mbForm) return { ok: true };
+// -----------------------------------------------------------------------------
+//  COLLECT ISSUES FOR ONE COMPONENT AGAINST THE CURRENT BUILD
+// Every rule involving `category` is applied, whichever side it sits on.
+// In a multi-quantity category the component is ADDED to the listed parts:
+// per-part rules look at the new part only, aggregate rules (slot counts) at
+// the whole list including it.
+// -----------------------------------------------------------------------------
+export const collectComponentIssues = (build, category, comp) => {
+  if (!comp || typeof comp !== "object") return [];
 
-    if (mbForm && supported.length && !supported.includes(mbForm)) {
-      return {
-        ok: false,
-        reason: "Case does not support motherboard form factor",
-      };
-    }
-  }
+  const parts = { ...(build || {}), [category]: comp };
+  const withAdded = isMultiCategory(category)
+    ? { ...parts, [category]: [...slotItems(build?.[category]), comp] }
+    : parts;
+
+  const power = estimatePower(withAdded);
+  const issues = [];
 
-  if (category === "motherboard" && casing) {
-    const mbForm = norm(get(comp, "form_factor"));
-    const supported = normArray(casing.specs?.form_factor_support || []);
+  for (const rule of RULES) {
+    if (!ruleTouches(rule, category)) continue;
 
-    // FIX: allow if missing info
-    if (!supported.length || !mbForm) return { ok: true };
+    // finished-build rules (missing parts) don't block adding a part
+    if (rule.scope === "build") continue;
 
-    if (mbForm && supported.length && !supported.includes(mbForm)) {
-      return {
-        ok: false,
-        reason: "Motherboard form factor not supported by case",
-      };
-    }
+    const aggregate = rule.aggregate?.includes(category);
+    issues.push(...evaluateRule(rule, aggregate ? withAdded : parts, power));
   }
 
-  // ----------------------------- Storage (M.2 / NVMe) - require NVMe slot count
-  if (category === "storage" && mb) {
-    const iface = (get(comp, "interface") || "").toString().toLowerCase();
-    const support = normArray(mb.specs?.storage_support || []);
-    const nvmeSlots = n(mb.specs?.nvme_slots || mb.specs?.m2_slots || 0);
-    const sataPorts = n(mb.specs?.sata_ports || 0);
-
-    // FIX: if motherboard has NO info → auto allow storage
-    if (!support.length && nvmeSlots === 0 && sataPorts === 0) {
-      return { ok: true };
-    }
-
-    // If NVMe / M.2 interface requested, ensure mobo advertises NVMe/M.2 support AND at least 1 slot
-    if (
-      iface.includes("nvme") ||
-      iface.includes("m.2") ||
-      iface.includes("m2") ||
-      iface.includes("pci")
-    ) {
-      // first, the generic support token
-      const match = support.some((s) => /nvme|m\.2|m2|pci/i.test(String(s)));
-      if (!match || nvmeSlots < 1) {
-        return {
-          ok: false,
-          reason:
-            "Motherboard does not support NVMe/M.2 drive (or no free slots)",
-        };
-      }
-    } else {
-      // for SATA drives ensure motherboard has SATA ports
-      if (iface.includes("sata") && sataPorts < 1) {
-        return {
-          ok: false,
-          reason: "Motherboard does not have SATA ports for this drive",
-        };
-      }
-    }
+  return issues;
+};
+
+// -----------------------------------------------------------------------------
+//  SINGLE COMPONENT VALIDATION AGAINST CURRENT BUILD
+// Returns the first blocking (error) issue, if any.
+// -----------------------------------------------------------------------------
+export const checkComponentAgainstBuild = (build, category, comp) => {
+  const issues = collectComponentIssues(build, category, comp);
+  const blocking = issues.find((i) => i.severity === SEVERITY.ERROR);
+
+  if (blocking) {
+    return { ok: false, reason: blocking.message, code: blocking.code, issues };
   }
 
-  return { ok: true };
+  return { ok: true, issues };
 };
 
 // -----------------------------------------------------------------------------
 //  VALIDATE ENTIRE BUILD (skip empty/null slots)
+// Collects every issue in the build; each rule is evaluated once. `ok` /
+// `reason` keep the first-failure shape older callers rely on.
 // -----------------------------------------------------------------------------
 export const checkWholeBuild = (expanded) => {
-  if (!expanded || typeof expanded !== "object") return { ok: true };
+  const issues = [];
 
-  for (const category of Object.keys(expanded)) {
-    const comp = expanded[category];
-    if (!comp) continue; // skip empty categories
+  if (expanded && typeof expanded === "object") {
+    const power = estimatePower(expanded);
+    for (const rule of RULES)
+      issues.push(...evaluateRule(rule, expanded, power));
+  }
 
-    const others = { ...expanded };
-    delete others[category];
+  const counts = { error: 0, warning: 0, info: 0 };
+  for (const i of issues) counts[i.severity] = (counts[i.severity] || 0) + 1;
 
-    const res = checkComponentAgainstBuild(others, category, comp);
-    if (!res.ok) return res;
-  }
+  const firstError = issues.find((i) => i.severity === SEVERITY.ERROR);
 
-  return { ok: true };
+  return {
+    ok: !firstError,
+    ...(firstError ? { reason: firstError.message } : {}),
+    issues,
+    counts,
+  };
 };
 
 // -----------------------------------------------------------------------------
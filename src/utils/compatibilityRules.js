@@ -0,0 +1,502 @@
+// src/utils/compatibilityRules.js
+// -----------------------------------------------------------------------------
+// COMPATIBILITY RULE REGISTRY
+// Each rule is declared ONCE and applied in both directions by the engine in
+// compatibility.js (cpu→motherboard and motherboard→cpu use the same rule).
+//
+// Rule shape:
+//   code      stable machine-readable issue code
+//   between   [left, right] categories; a side may be an array of categories
+//             ("any of these"), e.g. the PSU is checked against cpu + gpu
+//   fields    spec field(s) read per category; a string yields the value, an
+//             array yields an object keyed by field name
+//   compare   (left, right, ctx) → true when compatible, false when not, or a
+//             severity string ("warning", "info") for softer findings.
+//             ctx = { parts, power } (all parts + powerModel estimate)
+//   message   (left, right, severity, ctx) → human-readable reason
+//   severity  default severity when compare returns false (default "error")
+//   aggregate categories whose side receives EVERY listed part of a
+//             multi-quantity slot as [{ ...fields, quantity }] (slot counting);
+//             without it the rule runs once per listed part
+//   optional  categories that may be absent; an absent side's value is null
+//   scope     "build" → only checked on the whole build, never when adding a
+//             single part (rules about parts that are still missing)
+//
+// Sides whose values are missing are skipped (missing info never blocks).
+// -----------------------------------------------------------------------------
+
+import {
+  norm,
+  normArray,
+  n,
+  parseModules,
+  kitCapacityGb,
+  parseConnectors,
+} from "./specValues.js";
+import { PSU_HEADROOM, PSU_TRANSIENT_TOLERANCE } from "./powerModel.js";
+import { lookupChipsetSupport } from "./chipsetSupport.js";
+import {
+  isNvmeInterface,
+  usesSataPort,
+  tallyStorageSlots,
+} from "./storageSlots.js";
+
+// Below this share of the CPU's TDP a cooler is a hard error; between it and
+// 100% the pairing works but throttles under sustained load (warning).
+export const COOLER_MIN_RATIO = 0.75;
+
+// "SFX-L" / "sfx l" → "sfxl"
+const psuFormKey = (v) => String(norm(v) || "").replace(/[^a-z0-9]/g, "");
+
+// Least PSU wattage PSU_WATTAGE_INSUFFICIENT accepts (sustained + headroom)
+const minPsuWatts = (power) => Math.ceil(power.sustained_watts * PSU_HEADROOM);
+
+// Units across an aggregate side, weighted by `perUnit(entry)`
+const sumUnits = (entries, perUnit = () => 1) =>
+  [].concat(entries).reduce((sum, e) => sum + perUnit(e) * n(e.quantity), 0);
+
+// -----------------------------------------------------------------------------
+// GPU POWER CONNECTORS
+// 8-pin sockets take the PSU's 8-pin (6+2) cables; 6-pin sockets take a 6-pin
+// or a spare 8-pin. A 16-pin (12VHPWR / 12V-2x6) socket without a native PSU
+// cable can use an adapter fed by 8-pin cables: one per 150 W of board power,
+// 2–4 cables (what the cards ship with).
+// -----------------------------------------------------------------------------
+const ADAPTER_WATTS_PER_8PIN = 150;
+
+const adapterCables = (tdp) =>
+  Math.min(4, Math.max(2, Math.ceil(n(tdp) / ADAPTER_WATTS_PER_8PIN)));
+
+// gpu = { power_connectors, tdp }, psuConnectors = PSU connector list
+const connectorPlan = (gpu, psuConnectors) => {
+  const need = parseConnectors(gpu.power_connectors);
+  const have = parseConnectors(psuConnectors);
+
+  let spare8 = have.pin8 - need.pin8;
+  const spare6 = have.pin6 - need.pin6;
+  if (spare6 < 0) spare8 += spare6; // 6-pin sockets fed by 6+2 cables
+
+  const missing16 = Math.max(0, need.pin16 - have.pin16);
+  const viaAdapter = missing16 * adapterCables(gpu.tdp);
+
+  return {
+    need,
+    have,
+    adapter: missing16 > 0,
+    adapterCables: viaAdapter,
+    ok: spare8 - viaAdapter >= 0,
+  };
+};
+
+const describeConnectors = ({ pin16, pin8, pin6 }) =>
+  [
+    pin16 && `${pin16}× 16-pin`,
+    pin8 && `${pin8}× 8-pin`,
+    pin6 && `${pin6}× 6-pin`,
+  ]
+    .filter(Boolean)
+    .join(" + ") || "none";
+
+const withNote = (message, entry) =>
+  entry?.note ? `${message} (${entry.note})` : message;
+
+// Case radiator mounts: radiator_<position> lists the sizes (mm) it takes
+const RADIATOR_POSITIONS = ["front", "top", "side"];
+
+const radiatorPositions = (size, mounts) =>
+  RADIATOR_POSITIONS.filter((p) =>
+    []
+      .concat(mounts[`radiator_${p}`] || [])
+      .map(n)
+      .includes(n(size))
+  );
+
+// Drive / board fields read by the slot-accounting rules
+const STORAGE_FIELDS = ["interface", "form_factor"];
+const BOARD_STORAGE_FIELDS = [
+  "m2_slots",
+  "nvme_slots",
+  "sata_ports",
+  "m2_sata_shared",
+  "sata_disabled_per_m2",
+];
+
+const kitModules = (kit) =>
+  n(kit.module_count) || parseModules(kit.modules).count;
+
+const hasStorageInfo = (mb) =>
+  normArray(mb.storage_support).length > 0 ||
+  n(mb.nvme_slots || mb.m2_slots) > 0 ||
+  n(mb.sata_ports) > 0;
+
+// -----------------------------------------------------------------------------
+// RULES
+// -----------------------------------------------------------------------------
+export const RULES = [
+  // ----------------------------- CPU ↔ Motherboard
+  {
+    code: "CPU_SOCKET_MISMATCH",
+    between: ["cpu", "motherboard"],
+    fields: { cpu: "socket", motherboard: "socket" },
+    compare: (cpu, mb) => norm(cpu) === norm(mb),
+    message: (cpu, mb) => `CPU socket ${cpu} ≠ motherboard socket ${mb}`,
+  },
+
+  // chipset ↔ CPU generation table (chipsetSupport.js, admin-maintained)
+  {
+    code: "CPU_CHIPSET_UNSUPPORTED",
+    between: ["cpu", "motherboard"],
+    fields: { cpu: "generation", motherboard: "chipset" },
+    compare: (gen, chipset) =>
+      lookupChipsetSupport(chipset, gen)?.support !== "unsupported",
+    message: (gen, chipset) =>
+      withNote(
+        `${chipset} chipset does not support ${gen} CPUs`,
+        lookupChipsetSupport(chipset, gen)
+      ),
+  },
+  {
+    code: "CPU_REQUIRES_BIOS_UPDATE",
+    severity: "warning",
+    between: ["cpu", "motherboard"],
+    fields: { cpu: "generation", motherboard: "chipset" },
+    compare: (gen, chipset) =>
+      lookupChipsetSupport(chipset, gen)?.support !== "bios_update",
+    message: (gen, chipset) =>
+      withNote(
+        `${chipset} motherboard requires a BIOS update to run ${gen} CPUs`,
+        lookupChipsetSupport(chipset, gen)
+      ),
+  },
+
+  // ----------------------------- Motherboard ↔ RAM
+  {
+    code: "RAM_TYPE_MISMATCH",
+    between: ["memory", "motherboard"],
+    fields: { memory: "type", motherboard: "memory_type" },
+    compare: (ram, mb) => norm(ram) === norm(mb),
+    message: (ram, mb) => `RAM type ${ram} ≠ motherboard memory type ${mb}`,
+  },
+  {
+    code: "RAM_SPEED_EXCEEDS_BOARD",
+    between: ["memory", "motherboard"],
+    fields: { memory: "speed_mhz", motherboard: "max_memory_speed_mhz" },
+    compare: (speed, max) => !n(max) || n(speed) <= n(max),
+    message: (speed, max) =>
+      `RAM speed ${speed} MHz exceeds motherboard limit of ${max} MHz`,
+  },
+
+  // slot / capacity totals count every kit × quantity
+  {
+    code: "RAM_SLOTS_EXCEEDED",
+    between: ["memory", "motherboard"],
+    aggregate: ["memory"],
+    fields: {
+      memory: ["module_count", "modules"],
+      motherboard: "memory_slots",
+    },
+    compare: (kits, slots) => {
+      const used = sumUnits(kits, kitModules);
+      return !used || !n(slots) || used <= n(slots);
+    },
+    message: (kits, slots) =>
+      `RAM needs ${sumUnits(
+        kits,
+        kitModules
+      )} DIMM slots, motherboard has ${slots}`,
+  },
+  {
+    code: "RAM_CAPACITY_EXCEEDED",
+    between: ["memory", "motherboard"],
+    aggregate: ["memory"],
+    fields: {
+      memory: ["capacity_gb", "capacity", "modules"],
+      motherboard: "max_memory_gb",
+    },
+    compare: (kits, max) => {
+      const total = sumUnits(kits, kitCapacityGb);
+      return !total || !n(max) || total <= n(max);
+    },
+    message: (kits, max) => {
+      const total = sumUnits(kits, kitCapacityGb);
+      return `RAM capacity ${total} GB exceeds motherboard maximum of ${max} GB`;
+    },
+  },
+
+  // ----------------------------- GPU ↔ Case (length)
+  {
+    code: "GPU_TOO_LONG",
+    between: ["gpu", "case"],
+    fields: { gpu: "length", case: "max_gpu_length" },
+    compare: (len, max) => !n(len) || !n(max) || n(len) <= n(max),
+    message: (len, max) =>
+      `GPU length ${len} mm exceeds case clearance of ${max} mm`,
+  },
+
+  // ----------------------------- CPU ↔ GPU (display output)
+  {
+    code: "NO_DISPLAY_OUTPUT",
+    scope: "build",
+    between: ["cpu", "gpu"],
+    optional: ["gpu"],
+    fields: {
+      cpu: ["integrated_graphics", "has_integrated_graphics"],
+      gpu: "tdp",
+    },
+    compare: (cpu, _gpu, { parts }) =>
+      !!parts.gpu || cpu.has_integrated_graphics !== false,
+    message: () =>
+      "No display output: the build has no GPU and the CPU has no integrated graphics",
+  },
+
+  // ----------------------------- CPU Cooler ↔ Case / CPU
+  // tower clearance applies to air coolers; AIOs are checked by radiator size
+  {
+    code: "COOLER_TOO_TALL",
+    between: ["cpu_cooler", "case"],
+    fields: { cpu_cooler: ["height", "liquid"], case: "max_cpu_cooler_height" },
+    compare: (cooler, max) =>
+      cooler.liquid === true ||
+      !n(cooler.height) ||
+      !n(max) ||
+      n(cooler.height) <= n(max),
+    message: (cooler, max) =>
+      `Cooler height ${cooler.height} mm exceeds case clearance of ${max} mm`,
+  },
+  {
+    code: "RADIATOR_UNSUPPORTED",
+    between: ["cpu_cooler", "case"],
+    fields: {
+      cpu_cooler: ["liquid", "radiator_size"],
+      case: ["radiator_front", "radiator_top", "radiator_side"],
+    },
+    compare: (cooler, mounts) =>
+      cooler.liquid !== true ||
+      !n(cooler.radiator_size) ||
+      radiatorPositions(cooler.radiator_size, mounts).length > 0,
+    message: (cooler, mounts) => {
+      const listed = RADIATOR_POSITIONS.filter(
+        (p) => mounts[`radiator_${p}`]?.length
+      )
+        .map((p) => `${p}: ${mounts[`radiator_${p}`].join("/")} mm`)
+        .join(", ");
+      return `${
+        cooler.radiator_size
+      } mm radiator does not mount in this case (${
+        listed || "no radiator mounts"
+      })`;
+    },
+  },
+  {
+    code: "COOLER_SOCKET_UNSUPPORTED",
+    between: ["cpu_cooler", "cpu"],
+    fields: { cpu_cooler: "compatible_sockets", cpu: "socket" },
+    compare: (sockets, socket) => normArray(sockets).includes(norm(socket)),
+    message: (sockets, socket) =>
+      `Cooler supports ${[]
+        .concat(sockets)
+        .join(", ")}, not CPU socket ${socket}`,
+  },
+
+  {
+    code: "COOLER_UNDERRATED",
+    between: ["cpu_cooler", "cpu"],
+    fields: { cpu_cooler: "tdp_rating", cpu: "tdp" },
+    compare: (rating, tdp) => {
+      if (!n(rating) || !n(tdp) || n(rating) >= n(tdp)) return true;
+      return n(rating) >= n(tdp) * COOLER_MIN_RATIO ? "warning" : false;
+    },
+    message: (rating, tdp, severity) =>
+      severity === "warning"
+        ? `Cooler rated for ${rating} W is marginal for a ${tdp} W CPU (may throttle under sustained load)`
+        : `Cooler rated for ${rating} W cannot handle a ${tdp} W CPU`,
+  },
+
+  // ----------------------------- PSU ↔ build power draw (powerModel.js)
+  {
+    code: "PSU_WATTAGE_INSUFFICIENT",
+    between: ["psu", ["cpu", "gpu"]],
+    fields: { psu: "wattage", cpu: "tdp", gpu: "tdp" },
+    compare: (watt, _tdps, { power }) =>
+      !n(watt) || !power.sustained_watts || n(watt) >= minPsuWatts(power),
+    message: (watt, _tdps, _severity, { power }) =>
+      `PSU ${watt} W is below the ${minPsuWatts(power)} W needed for a ${
+        power.sustained_watts
+      } W sustained load (${Math.round((PSU_HEADROOM - 1) * 100)}% headroom)`,
+  },
+  {
+    code: "PSU_PEAK_HEADROOM",
+    severity: "warning",
+    between: ["psu", ["cpu", "gpu"]],
+    fields: { psu: "wattage", cpu: "tdp", gpu: "tdp" },
+    compare: (watt, _tdps, { power }) => {
+      // an undersized PSU is already reported by PSU_WATTAGE_INSUFFICIENT
+      if (n(watt) < minPsuWatts(power)) return true;
+      return n(watt) * PSU_TRANSIENT_TOLERANCE >= power.peak_watts;
+    },
+    message: (watt, _tdps, _severity, { power }) =>
+      `PSU ${watt} W may trip on ${power.peak_watts} W transient spikes (GPU / CPU boost)`,
+  },
+
+  // ----------------------------- GPU ↔ PSU (power connectors)
+  {
+    code: "GPU_POWER_CONNECTORS_MISSING",
+    between: ["gpu", "psu"],
+    fields: { gpu: ["power_connectors", "tdp"], psu: "pcie_connectors" },
+    compare: (gpu, psu) => connectorPlan(gpu, psu).ok,
+    message: (gpu, psu) => {
+      const { need, have } = connectorPlan(gpu, psu);
+      return `PSU cannot power this GPU: card needs ${describeConnectors(
+        need
+      )}, PSU provides ${describeConnectors(have)}`;
+    },
+  },
+  {
+    code: "GPU_POWER_ADAPTER_NEEDED",
+    severity: "warning",
+    between: ["gpu", "psu"],
+    fields: { gpu: ["power_connectors", "tdp"], psu: "pcie_connectors" },
+    compare: (gpu, psu) => {
+      const plan = connectorPlan(gpu, psu);
+      // a PSU that can't feed the card at all is GPU_POWER_CONNECTORS_MISSING
+      return !plan.ok || !plan.adapter;
+    },
+    message: (gpu, psu) =>
+      `PSU has no native 16-pin (12VHPWR / 12V-2x6) cable: the GPU needs an adapter using ${
+        connectorPlan(gpu, psu).adapterCables
+      }× 8-pin cables`,
+  },
+
+  // ----------------------------- PSU ↔ Case (form factor)
+  // SFX / SFX-L units mount in an ATX bay with an adapter bracket.
+  {
+    code: "PSU_FORM_FACTOR_UNSUPPORTED",
+    between: ["psu", "case"],
+    fields: { psu: "form_factor", case: "psu_form_factor_support" },
+    compare: (form, supported) => {
+      const psuForm = psuFormKey(form);
+      const forms = [].concat(supported).map(psuFormKey);
+
+      if (forms.includes(psuForm)) return true;
+      return psuForm.startsWith("sfx") && forms.includes("atx");
+    },
+    message: (form, supported) =>
+      `${form} PSU does not fit case (supports ${[]
+        .concat(supported)
+        .join(", ")})`,
+  },
+  {
+    code: "PSU_NEEDS_SFX_BRACKET",
+    severity: "info",
+    between: ["psu", "case"],
+    fields: { psu: "form_factor", case: "psu_form_factor_support" },
+    compare: (form, supported) => {
+      const psuForm = psuFormKey(form);
+      const forms = [].concat(supported).map(psuFormKey);
+
+      if (forms.includes(psuForm) || !psuForm.startsWith("sfx")) return true;
+      return !forms.includes("atx");
+    },
+    message: (form) =>
+      `${form} PSU needs an SFX-to-ATX bracket to mount in this case`,
+  },
+
+  // ----------------------------- Case ↔ Motherboard (form factor)
+  {
+    code: "CASE_FORM_FACTOR_UNSUPPORTED",
+    between: ["motherboard", "case"],
+    fields: { motherboard: "form_factor", case: "form_factor_support" },
+    compare: (form, supported) => normArray(supported).includes(norm(form)),
+    message: (form, supported) =>
+      `Motherboard form factor ${form} not supported by case (${[]
+        .concat(supported)
+        .join(", ")})`,
+  },
+
+  // ----------------------------- Storage ↔ Motherboard
+  {
+    code: "STORAGE_NVME_UNSUPPORTED",
+    between: ["storage", "motherboard"],
+    fields: {
+      storage: "interface",
+      motherboard: ["storage_support", "nvme_slots", "m2_slots", "sata_ports"],
+    },
+    compare: (iface, mb) => {
+      // if motherboard has NO info → auto allow storage
+      if (!isNvmeInterface(iface) || !hasStorageInfo(mb)) return true;
+
+      const match = normArray(mb.storage_support).some((s) =>
+        /nvme|m\.2|m2|pci/.test(s)
+      );
+      // slot count unknown → the listed NVMe support is enough
+      const slots = mb.m2_slots ?? mb.nvme_slots;
+      return match && (slots == null || n(slots) >= 1);
+    },
+    message: () => "Motherboard does not support NVMe/M.2 drives",
+  },
+  {
+    code: "STORAGE_NO_SATA",
+    between: ["storage", "motherboard"],
+    fields: {
+      storage: "interface",
+      motherboard: ["storage_support", "nvme_slots", "m2_slots", "sata_ports"],
+    },
+    compare: (iface, mb) => {
+      if (!usesSataPort({ interface: iface }) || !hasStorageInfo(mb)) {
+        return true;
+      }
+
+      if (mb.sata_ports == null) {
+        return normArray(mb.storage_support).includes("sata");
+      }
+      return n(mb.sata_ports) >= 1;
+    },
+    message: () => "Motherboard does not have SATA ports for this drive",
+  },
+
+  // drive counts vs slots (storageSlots.js); silent while the board doesn't
+  // list its slot / port counts
+  {
+    code: "STORAGE_M2_SLOTS_EXCEEDED",
+    between: ["storage", "motherboard"],
+    aggregate: ["storage"],
+    fields: { storage: STORAGE_FIELDS, motherboard: BOARD_STORAGE_FIELDS },
+    compare: (drives, mb) => {
+      const { m2 } = tallyStorageSlots(drives, mb);
+      return m2.total == null || m2.used <= m2.total;
+    },
+    message: (drives, mb) => {
+      const { m2 } = tallyStorageSlots(drives, mb);
+      return `${m2.used} M.2 drives but the motherboard has ${m2.total} M.2 slots`;
+    },
+  },
+  {
+    code: "STORAGE_SATA_PORTS_EXCEEDED",
+    between: ["storage", "motherboard"],
+    aggregate: ["storage"],
+    fields: { storage: STORAGE_FIELDS, motherboard: BOARD_STORAGE_FIELDS },
+    compare: (drives, mb) => {
+      const { sata } = tallyStorageSlots(drives, mb);
+      return sata.available == null || sata.used <= sata.available;
+    },
+    message: (drives, mb) => {
+      const { sata } = tallyStorageSlots(drives, mb);
+      const disabled = sata.disabled
+        ? ` (${sata.disabled} of ${sata.total} disabled by populated M.2 slots)`
+        : "";
+      return `${sata.used} SATA drives but only ${sata.available} SATA ports are usable${disabled}`;
+    },
+  },
+  {
+    code: "STORAGE_SATA_PORTS_SHARED",
+    severity: "info",
+    between: ["storage", "motherboard"],
+    aggregate: ["storage"],
+    fields: { storage: STORAGE_FIELDS, motherboard: BOARD_STORAGE_FIELDS },
+    compare: (drives, mb) => !tallyStorageSlots(drives, mb).sata.disabled,
+    message: (drives, mb) => {
+      const { sata, shared_m2_in_use } = tallyStorageSlots(drives, mb);
+      return `${shared_m2_in_use} populated M.2 slot(s) share lanes with SATA: ${sata.disabled} SATA port(s) disabled, ${sata.free} free`;
+    },
+  },
+];
@@ -0,0 +1,312 @@
+// src/utils/partMatcher.js
+// -----------------------------------------------------------------------------
+// PARTS LIST IMPORT
+// Parses a pasted parts list (forum post, PCPartPicker-style "CPU: name",
+// another shop's quotation, or CSV) and fuzzy-matches each line to a catalog
+// component. Matching follows the seed scripts' getId / normalize approach,
+// tier by tier, each with a confidence:
+//   exact        normalized names equal                         1.0
+//   words        every word of the line is a word of the name    0.8
+//   name_in_line every word of the name appears in the line      0.75
+//   suffix       same words, one with an extra suffix letter     0.4
+//   overlap      shared-word score (Dice) ≥ MIN_OVERLAP          ≤ 0.75
+// A suffix letter is a different part (7600X vs 7600, 13400F vs 13400), so
+// that tier stays below MIN_CONFIDENCE: it is offered as a suggestion only.
+// -----------------------------------------------------------------------------
+
+// Same normalization as the seed scripts' matcher
+export const normalize = (str) =>
+  String(str ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+// Lines below this confidence are reported as unmatched
+export const MIN_CONFIDENCE = 0.5;
+
+const MIN_OVERLAP = 0.5;
+
+// Line label → category slug ("Video Card: ..." → gpu)
+const CATEGORY_LABELS = [
+  [/^(cpu\s*cooler|cooler|aio)$/i, "cpu_cooler"],
+  [/^(cpu|processor)$/i, "cpu"],
+  [/^(motherboard|mobo|mainboard|mb)$/i, "motherboard"],
+  [/^(memory|ram)$/i, "memory"],
+  [/^(storage|ssd|hdd|nvme|drive)$/i, "storage"],
+  [/^(video\s*card|gpu|graphics(\s*card)?)$/i, "gpu"],
+  [/^(case\s*fans?|fans?)$/i, "case_fan"],
+  [/^(case|chassis|cabinet)$/i, "case"],
+  [/^(power\s*supply|psu)$/i, "psu"],
+];
+
+export const categoryFromLabel = (label) =>
+  CATEGORY_LABELS.find(([re]) => re.test(String(label ?? "").trim()))?.[1] ||
+  null;
+
+const words = (str) =>
+  String(str ?? "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+// Strip list / table / BBCode decoration and trailing prices
+const cleanText = (text) =>
+  String(text ?? "")
+    .replace(/\[\/?[a-z*]+\]/gi, " ") // BBCode tags
+    .replace(/^\s*([-*•]|\d+[.)])\s+/, "") // bullets / numbering
+    .replace(/\((?:[^()]*[$₱€£][^()]*)\)/g, " ") // "($199.99 @ Shop)"
+    .replace(/\s+[-–@]?\s*(?:[$₱€£]|php|usd)\s*[\d,.]+.*$/i, "") // "- $199"
+    .replace(/\s+/g, " ")
+    .trim();
+
+// "2x Name" / "Name x2" / "Name (x2)" → { name, quantity }. The count has to
+// stand apart from the name: "RX 7600" and "32GB 2x16" are part names.
+const splitQuantity = (text) => {
+  let match = text.match(/^(\d{1,2})\s*[x×]\s+(.+)$/i);
+  if (match) return { name: match[2], quantity: Number(match[1]) };
+
+  match =
+    text.match(/^(.+?)\s+[x×]\s*(\d{1,2})$/i) ||
+    text.match(/^(.+?)\s*\(\s*[x×]\s*(\d{1,2})\s*\)$/i);
+  if (match) return { name: match[1], quantity: Number(match[2]) };
+
+  return { name: text, quantity: 1 };
+};
+
+const splitCsvLine = (line) => {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      cells.push(cell.trim());
+      cell = "";
+    } else cell += ch;
+  }
+
+  cells.push(cell.trim());
+  return cells;
+};
+
+// CSV with a header row naming the part column (part / name / item / ...)
+const parseCsv = (lines) => {
+  const header = splitCsvLine(lines[0]).map((h) => h.toLowerCase());
+  const nameCol = header.findIndex((h) =>
+    /^(part|name|item|product|component|description)$/.test(h)
+  );
+  if (nameCol === -1) return null;
+
+  const categoryCol = header.findIndex((h) => /^(category|type)$/.test(h));
+  const quantityCol = header.findIndex((h) => /^(qty|quantity)$/.test(h));
+
+  return lines.slice(1).map((raw, i) => {
+    const cells = splitCsvLine(raw);
+    const quantity = Number(cells[quantityCol]);
+
+    return {
+      line: i + 2,
+      raw,
+      category: categoryFromLabel(cells[categoryCol]),
+      name: cleanText(cells[nameCol]),
+      quantity: Number.isInteger(quantity) && quantity > 0 ? quantity : 1,
+    };
+  });
+};
+
+// Free text: one part per line, optional "Label: name" prefix
+const parseText = (lines) =>
+  lines.map((raw, i) => {
+    let text = cleanText(raw.replace(/\|/g, " "));
+    let category = null;
+
+    const labelled = text.match(/^([a-z ]{2,20}):\s*(.+)$/i);
+    if (labelled && categoryFromLabel(labelled[1])) {
+      category = categoryFromLabel(labelled[1]);
+      text = labelled[2];
+    }
+
+    const { name, quantity } = splitQuantity(text);
+    return { line: i + 1, raw, category, name: name.trim(), quantity };
+  });
+
+/**
+ * Parse pasted text into [{ line, raw, category, name, quantity }].
+ * `format` "csv" forces CSV; otherwise CSV is detected from a header row.
+ * Blank lines, headings and totals are dropped.
+ */
+export const parsePartsList = (text, format = "auto") => {
+  const lines = String(text ?? "")
+    .split(/\r?\n/)
+    .map((l) => l.trimEnd());
+
+  const nonEmpty = lines.filter((l) => l.trim());
+  if (!nonEmpty.length) return [];
+
+  const csv =
+    format === "csv" || (format === "auto" && nonEmpty[0].includes(","))
+      ? parseCsv(nonEmpty)
+      : null;
+
+  const entries = csv || parseText(lines);
+
+  return entries.filter(
+    ({ name }) =>
+      name &&
+      normalize(name).length >= 3 &&
+      !/^(total|subtotal|grand total|price|type\b|category\b)/i.test(name) &&
+      !/^[-:| ]+$/.test(name)
+  );
+};
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+// "7600" / "7600x": one word is the other plus a single trailing character
+const suffixVariant = (a, b) =>
+  Math.abs(a.length - b.length) === 1 && (a.startsWith(b) || b.startsWith(a));
+
+// Dice coefficient over words
+const overlapScore = (a, b) => {
+  const left = new Set(words(a));
+  const right = new Set(words(b));
+  if (!left.size || !right.size) return 0;
+
+  let shared = 0;
+  for (const w of left) if (right.has(w)) shared++;
+
+  return (2 * shared) / (left.size + right.size);
+};
+
+/**
+ * Best catalog match for one name. `catalog` is [{ id, name, category }];
+ * `category` (when known) narrows the candidates.
+ * Returns { component, confidence, method } or null.
+ */
+export const matchPart = (name, catalog, category = null) => {
+  const candidates = category
+    ? catalog.filter((c) => c.category === category)
+    : catalog;
+
+  const target = normalize(name);
+  if (!target) return null;
+
+  // 1) exact
+  let comp = candidates.find((c) => normalize(c.name) === target);
+  if (comp) return { component: comp, confidence: 1, method: "exact" };
+
+  // 2) every word of the line in the name (shortest name wins)
+  const lineWords = words(name);
+  comp = candidates
+    .filter((c) => {
+      if (lineWords.length < 2) return false;
+      const nameWords = new Set(words(c.name));
+      return lineWords.every((w) => nameWords.has(w));
+    })
+    .sort((a, b) => a.name.length - b.name.length)[0];
+  if (comp) return { component: comp, confidence: 0.8, method: "words" };
+
+  // 3) every word of a catalog name in the line (listings often append
+  //    "8-Core Processor" etc.; longest = most specific name wins)
+  const lineSet = new Set(lineWords);
+  comp = candidates
+    .filter((c) => {
+      const nameWords = words(c.name);
+      return nameWords.length >= 2 && nameWords.every((w) => lineSet.has(w));
+    })
+    .sort((a, b) => b.name.length - a.name.length)[0];
+  if (comp)
+    return { component: comp, confidence: 0.75, method: "name_in_line" };
+
+  // 4) same words, one of them off by a one-letter suffix (X / K / F);
+  //    returned before the overlap tier, which would score it as a match
+  comp = candidates.find((c) => {
+    const nameWords = words(c.name);
+    if (nameWords.length !== lineWords.length) return false;
+
+    const diffs = nameWords
+      .map((w, i) => [w, lineWords[i]])
+      .filter(([a, b]) => a !== b);
+
+    return diffs.length === 1 && suffixVariant(...diffs[0]);
+  });
+  if (comp) return { component: comp, confidence: 0.4, method: "suffix" };
+
+  // 5) best shared-word score
+  let best = null;
+  for (const c of candidates) {
+    const score = overlapScore(name, c.name);
+    if (score >= MIN_OVERLAP && (!best || score > best.score)) {
+      best = { component: c, score };
+    }
+  }
+
+  if (!best) return null;
+
+  return {
+    component: best.component,
+    confidence: Math.round(best.score * 0.75 * 100) / 100,
+    method: "overlap",
+  };
+};
+
+const describeMatch = ({ component }) => ({
+  component_id: component.id,
+  name: component.name,
+  category: component.category,
+});
+
+/**
+ * Parse + match a pasted list.
+ * Returns { lines: [{ line, text, category, quantity, match, suggestion,
+ * confidence, method }], unmatched: [{ line, text, suggestion }] }. Lines
+ * below MIN_CONFIDENCE have `match` null and their best guess (if any) as
+ * `suggestion`, which is not imported.
+ */
+export const matchPartsList = (text, catalog, format = "auto") => {
+  const lines = [];
+  const unmatched = [];
+
+  for (const entry of parsePartsList(text, format)) {
+    let hit = matchPart(entry.name, catalog, entry.category);
+
+    // a wrong label shouldn't hide a better match elsewhere
+    if (entry.category && !(hit?.confidence >= MIN_CONFIDENCE)) {
+      const anywhere = matchPart(entry.name, catalog);
+      if (anywhere?.confidence > (hit?.confidence || 0)) hit = anywhere;
+    }
+
+    const accepted = hit && hit.confidence >= MIN_CONFIDENCE ? hit : null;
+    const suggestion = hit && !accepted ? describeMatch(hit) : null;
+
+    lines.push({
+      line: entry.line,
+      text: entry.raw.trim(),
+      category: accepted?.component.category || entry.category,
+      quantity: entry.quantity,
+      match: accepted ? describeMatch(accepted) : null,
+      suggestion,
+      confidence: hit?.confidence || 0,
+      method: hit?.method || null,
+    });
+
+    if (!accepted) {
+      unmatched.push({ line: entry.line, text: entry.raw.trim(), suggestion });
+    }
+  }
+
+  return { lines, unmatched };
+};
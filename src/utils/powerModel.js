@@ -0,0 +1,209 @@
+// src/utils/powerModel.js
+// -----------------------------------------------------------------------------
+// POWER MODEL
+// Estimates per-part power draw for an expanded build: CPU / GPU from TDP,
+// motherboard by chipset class, RAM per module, each storage drive, cooler
+// pumps + fans. Reports sustained load, transient peak (GPU spikes, CPU boost)
+// and a recommended PSU wattage.
+// -----------------------------------------------------------------------------
+
+import { n, norm, parseModules } from "./specValues.js";
+import { slotItems, itemQuantity } from "./buildSlots.js";
+
+// ============================================================================
+// CONSTANTS (watts) — tweakable
+// ============================================================================
+
+// PSU safety multiplier on sustained load (recommended headroom)
+export const PSU_HEADROOM = 1.25;
+
+// How far above its rating a PSU rides out millisecond excursions
+export const PSU_TRANSIENT_TOLERANCE = 1.3;
+
+// Short boost above TDP (PL2 / PPT style) during load spikes
+const CPU_BOOST_FACTOR = 1.3;
+
+// GPU millisecond transients; big cards spike harder
+const GPU_TRANSIENT_FACTOR = 1.5;
+const GPU_TRANSIENT_FACTOR_HIGH = 2.0;
+const GPU_HIGH_TDP = 300;
+
+// Motherboard (chipset, VRM losses, onboard controllers)
+const BOARD_WATTS = 35;
+const BOARD_WATTS_HIGH_END = 55;
+const HIGH_END_CHIPSET = /^(x\d{3}e?|z\d{3})$/;
+
+// Memory per module
+const RAM_WATTS_PER_MODULE = { ddr5: 5, ddr4: 3, default: 3 };
+const RAM_DEFAULT_MODULES = 2;
+
+// Storage per drive
+const STORAGE_WATTS = { nvme: 7, ssd: 4, hdd: 8 };
+
+// Cooling
+const FAN_WATTS = 2.5;
+const PUMP_WATTS = 5;
+
+// PSU sizes are sold in 50 W steps
+const PSU_STEP = 50;
+
+// ============================================================================
+// PER-PART ESTIMATES → { watts, peak_watts, note }
+// ============================================================================
+const estimateCpu = (cpu) => {
+  const tdp = n(cpu.specs?.tdp);
+  return {
+    watts: tdp,
+    peak_watts: Math.ceil(tdp * CPU_BOOST_FACTOR),
+    note: "TDP, short boost above TDP at peak",
+  };
+};
+
+const estimateGpu = (gpu) => {
+  const tdp = n(gpu.specs?.tdp);
+  const factor =
+    tdp >= GPU_HIGH_TDP ? GPU_TRANSIENT_FACTOR_HIGH : GPU_TRANSIENT_FACTOR;
+
+  return {
+    watts: tdp,
+    peak_watts: Math.ceil(tdp * factor),
+    note: `board power, ×${factor} transient spikes`,
+  };
+};
+
+const estimateMotherboard = (mb) => {
+  const chipset = norm(mb.specs?.chipset) || "";
+  const watts = HIGH_END_CHIPSET.test(chipset)
+    ? BOARD_WATTS_HIGH_END
+    : BOARD_WATTS;
+
+  return { watts, peak_watts: watts, note: "chipset + VRM" };
+};
+
+const estimateMemory = (ram) => {
+  const type = norm(ram.specs?.type) || "default";
+  const perModule = RAM_WATTS_PER_MODULE[type] ?? RAM_WATTS_PER_MODULE.default;
+  const modules =
+    n(ram.specs?.module_count) ||
+    parseModules(ram.specs?.modules).count ||
+    RAM_DEFAULT_MODULES;
+  const watts = perModule * modules;
+
+  return { watts, peak_watts: watts, note: `${modules} × ${perModule} W` };
+};
+
+const estimateStorage = (drive) => {
+  const iface = norm(drive.specs?.interface) || "";
+  const type = norm(drive.specs?.type) || "";
+
+  let watts = STORAGE_WATTS.ssd;
+  if (/nvme|m\.2|m2|pci/.test(iface)) watts = STORAGE_WATTS.nvme;
+  else if (type.includes("hdd")) watts = STORAGE_WATTS.hdd;
+
+  return { watts, peak_watts: watts, note: "per drive" };
+};
+
+// AIO radiator size stands in for fan count (120 mm per fan)
+const coolerFanCount = (cooler) => {
+  const s = cooler.specs || {};
+  if (n(s.fan_count)) return n(s.fan_count);
+
+  const isLiquid = /liquid|aio/.test(norm(s.type) || "");
+  if (isLiquid) {
+    return Math.max(1, Math.round(n(s.radiator_size || s.height) / 120));
+  }
+  if (/dual/.test(norm(s.type) || "")) return 2;
+  return 1;
+};
+
+const estimateCooler = (cooler) => {
+  const isLiquid = /liquid|aio/.test(norm(cooler.specs?.type) || "");
+  const fans = coolerFanCount(cooler);
+  const watts = fans * FAN_WATTS + (isLiquid ? PUMP_WATTS : 0);
+
+  return {
+    watts,
+    peak_watts: watts,
+    note: `${fans} fan(s)${isLiquid ? " + pump" : ""}`,
+  };
+};
+
+const estimateCase = (casing) => {
+  const fans = n(casing.specs?.included_fans);
+  const watts = fans * FAN_WATTS;
+
+  return { watts, peak_watts: watts, note: `${fans} included fan(s)` };
+};
+
+const estimateCaseFan = (fan) => {
+  const watts = n(fan.specs?.wattage) || FAN_WATTS;
+  return { watts, peak_watts: watts, note: "per fan" };
+};
+
+const ESTIMATORS = {
+  cpu: estimateCpu,
+  gpu: estimateGpu,
+  motherboard: estimateMotherboard,
+  memory: estimateMemory,
+  storage: estimateStorage,
+  cpu_cooler: estimateCooler,
+  case: estimateCase,
+  case_fan: estimateCaseFan,
+};
+
+// ============================================================================
+// BUILD ESTIMATE
+// Multi-quantity slots (drives, RAM kits, fans) list each part once with its
+// quantity; `watts` / `peak_watts` are already multiplied by it.
+// ============================================================================
+export const estimatePower = (expanded = {}) => {
+  const parts = [];
+
+  for (const [category, value] of Object.entries(expanded || {})) {
+    if (category.startsWith("__")) continue;
+
+    const estimator = ESTIMATORS[category];
+    if (!estimator) continue;
+
+    for (const comp of slotItems(value)) {
+      const quantity = itemQuantity(comp);
+      const { watts, peak_watts, note } = estimator(comp);
+
+      parts.push({
+        category,
+        component_id: comp.id || null,
+        name: comp.name || null,
+        quantity,
+        watts: watts * quantity,
+        peak_watts: peak_watts * quantity,
+        note,
+      });
+    }
+  }
+
+  const sustained = Math.ceil(parts.reduce((sum, p) => sum + p.watts, 0));
+  const peak = Math.ceil(parts.reduce((sum, p) => sum + p.peak_watts, 0));
+
+  const needed = Math.max(
+    Math.ceil(sustained * PSU_HEADROOM),
+    Math.ceil(peak / PSU_TRANSIENT_TOLERANCE)
+  );
+  const recommended = needed ? Math.ceil(needed / PSU_STEP) * PSU_STEP : 0;
+
+  const psuWatts = n(expanded?.psu?.specs?.wattage);
+
+  return {
+    parts,
+    sustained_watts: sustained,
+    peak_watts: peak,
+    recommended_psu_watts: recommended,
+    psu: psuWatts
+      ? {
+          wattage: psuWatts,
+          load_percent: Math.round((sustained / psuWatts) * 100),
+          covers_sustained: psuWatts >= Math.ceil(sustained * PSU_HEADROOM),
+          covers_peak: psuWatts * PSU_TRANSIENT_TOLERANCE >= peak,
+        }
+      : null,
+  };
+};
@@ -0,0 +1,93 @@
+// src/utils/priceDrift.js
+// -----------------------------------------------------------------------------
+// PRICE DRIFT
+// Compares a saved build's stored prices with the catalog today: the saved
+// total vs the current total, the change per component (against the
+// `price_snapshot` taken at save time) and parts that went inactive, out of
+// stock or were removed since saving. Builds saved before snapshots existed
+// only report totals; their per-part `saved_price` is null.
+// -----------------------------------------------------------------------------
+
+import { slotEntries } from "./buildSlots.js";
+
+const round = (v) => Math.round(v * 100) / 100;
+
+/** Every { category, id, quantity } stored in a build's component map */
+export const buildEntries = (components = {}) =>
+  Object.entries(components || {})
+    .filter(([category]) => !category.startsWith("__"))
+    .flatMap(([category, value]) =>
+      slotEntries(value).map((e) => ({ category, ...e }))
+    );
+
+/**
+ * Why `quantity` units of a part can't be bought as-is (null when they can):
+ * "removed", "inactive", "out_of_stock" or "insufficient_stock". Unknown
+ * stock (null) counts as available.
+ */
+export const unavailableReason = (comp, quantity = 1) => {
+  if (!comp) return "removed";
+  if (comp.status && comp.status !== "active") return "inactive";
+  if (comp.stock === null || comp.stock === undefined) return null;
+  if (comp.stock <= 0) return "out_of_stock";
+  if (comp.stock < quantity) return "insufficient_stock";
+  return null;
+};
+
+/**
+ * build       saved user_builds row (components, total_price, price_snapshot)
+ * catalog     Map of componentId → { id, name, price, status, stock }
+ *
+ * Returns { saved_price, current_price, change, change_percent, parts,
+ * unavailable }. Removed parts count 0 toward the current price.
+ */
+export const priceDrift = (build, catalog) => {
+  const snapshot = build.price_snapshot || {};
+  const parts = [];
+  const unavailable = [];
+  let current = 0;
+
+  for (const { category, id, quantity } of buildEntries(build.components)) {
+    const comp = catalog.get(String(id)) || null;
+    const savedEach = snapshot[id] ?? null;
+    const currentEach = comp ? Number(comp.price || 0) : null;
+    const reason = unavailableReason(comp, quantity);
+
+    if (currentEach !== null) current += currentEach * quantity;
+
+    parts.push({
+      category,
+      component_id: id,
+      name: comp?.name || null,
+      quantity,
+      saved_price: savedEach === null ? null : Number(savedEach),
+      current_price: currentEach,
+      change:
+        savedEach === null || currentEach === null
+          ? null
+          : round((currentEach - Number(savedEach)) * quantity),
+      available: !reason,
+    });
+
+    if (reason) {
+      unavailable.push({
+        category,
+        component_id: id,
+        name: comp?.name || null,
+        reason,
+      });
+    }
+  }
+
+  const saved = Number(build.total_price || 0);
+  const change = round(current - saved);
+
+  return {
+    saved_price: round(saved),
+    current_price: round(current),
+    change,
+    change_percent: saved ? round((change / saved) * 100) : null,
+    parts,
+    unavailable,
+  };
+};
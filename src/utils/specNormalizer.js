@@ -0,0 +1,224 @@
+// src/utils/specNormalizer.js
+// -----------------------------------------------------------------------------
+// SPEC NORMALIZATION
+// Turns raw `<category>_specs` rows (seeded free text like "3.6 GHz",
+// "ATX, Micro-ATX", "32 GB") into canonical typed fields: arrays, MHz, GB,
+// watts and mm. Raw keys are kept; canonical keys are added / overwritten so
+// the compatibility rules, power model and auto-builder always find them.
+// -----------------------------------------------------------------------------
+
+import { parseModules, generationKey } from "./specValues.js";
+
+// DB bookkeeping columns that are not specs
+const META_KEYS = ["id", "component_id", "created_at", "updated_at"];
+
+// ============================================================================
+// VALUE PARSERS
+// ============================================================================
+
+// First number in a value: 3.6 / "3.6 GHz" / "170W" → number | null
+const num = (v) => {
+  if (v === null || v === undefined || v === "") return null;
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+
+  const match = String(v).match(/-?[\d.]+/);
+  return match ? Number(match[0]) : null;
+};
+
+// Clock → GHz ("4700 MHz" → 4.7, "3.6 GHz" → 3.6, 3.6 → 3.6)
+const ghz = (v) => {
+  const value = num(v);
+  if (value === null) return null;
+  if (/mhz/i.test(String(v)) || value > 100) return value / 1000;
+  return value;
+};
+
+// Clock → MHz ("2.5 GHz" → 2500, "6000 MHz" → 6000, 2520 → 2520)
+const mhz = (v) => {
+  const value = num(v);
+  if (value === null) return null;
+  if (/ghz/i.test(String(v)) || value < 100) return Math.round(value * 1000);
+  return value;
+};
+
+// Size → GB ("1 TB" → 1000, "512GB" → 512)
+const gb = (v) => {
+  const value = num(v);
+  if (value === null) return null;
+  return /tb/i.test(String(v)) ? value * 1000 : value;
+};
+
+// "ATX, Micro-ATX" / ["ATX"] → ["ATX", "Micro-ATX"]
+const list = (v) => {
+  if (v === null || v === undefined || v === "") return [];
+  const items = Array.isArray(v) ? v : String(v).split(/[,/]/);
+  return items.map((x) => String(x).trim()).filter(Boolean);
+};
+
+const upper = (v) =>
+  v === null || v === undefined || v === ""
+    ? null
+    : String(v).trim().toUpperCase();
+
+// "None" / "N/A" / "" → null
+const optionalText = (v) => {
+  const text = String(v ?? "").trim();
+  return !text || /^(none|n\/a|no|-)$/i.test(text) ? null : text;
+};
+
+// Board / case form factor spellings → one canonical name
+const FORM_FACTORS = [
+  [/^(e-?atx|extended\s*atx)$/i, "E-ATX"],
+  [/^(micro[\s-]?atx|m-?atx|µatx|uatx)$/i, "Micro-ATX"],
+  [/^(mini[\s-]?itx|itx)$/i, "Mini-ITX"],
+  [/^atx$/i, "ATX"],
+];
+
+const formFactor = (v) => {
+  const text = String(v ?? "").trim();
+  if (!text) return null;
+
+  const hit = FORM_FACTORS.find(([re]) => re.test(text));
+  return hit ? hit[1] : text;
+};
+
+// Only set canonical keys that resolved to a value
+const assign = (target, fields) => {
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === null || value === undefined) continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+    target[key] = value;
+  }
+  return target;
+};
+
+// ============================================================================
+// PER-CATEGORY NORMALIZERS
+// ============================================================================
+const NORMALIZERS = {
+  cpu: (s) => {
+    const integrated = optionalText(s.integrated_graphics);
+    // unknown (no column / value) stays unknown rather than "no iGPU"
+    const known =
+      s.integrated_graphics !== undefined && s.integrated_graphics !== null;
+
+    return {
+      socket: upper(s.socket),
+      cores: num(s.cores),
+      threads: num(s.threads),
+      base_clock_ghz: ghz(s.base_clock_ghz ?? s.base_clock),
+      boost_clock_ghz: ghz(s.boost_clock_ghz ?? s.boost_clock),
+      tdp: num(s.tdp),
+      generation: generationKey(s.generation ?? s.architecture),
+      integrated_graphics: integrated,
+      has_integrated_graphics: known ? !!integrated : null,
+    };
+  },
+
+  motherboard: (s) => {
+    const m2 = num(s.m2_slots ?? s.nvme_slots);
+
+    return {
+      socket: upper(s.socket),
+      chipset: upper(s.chipset),
+      form_factor: formFactor(s.form_factor),
+      memory_type: upper(s.memory_type),
+      memory_slots: num(s.memory_slots),
+      max_memory_gb: gb(s.max_memory_gb),
+      max_memory_speed_mhz: mhz(s.max_memory_speed_mhz),
+      storage_support: list(s.storage_support).map(upper),
+      m2_slots: m2,
+      nvme_slots: m2,
+      sata_ports: num(s.sata_ports),
+      m2_sata_shared: num(s.m2_sata_shared),
+      sata_disabled_per_m2: num(s.sata_disabled_per_m2),
+    };
+  },
+
+  memory: (s) => {
+    const { count, sizeGb } = parseModules(s.modules);
+
+    return {
+      type: upper(s.type),
+      speed_mhz: mhz(s.speed_mhz ?? s.speed),
+      capacity_gb: gb(s.capacity_gb ?? s.capacity) ?? (count * sizeGb || null),
+      module_count: count || null,
+      module_size_gb: sizeGb || null,
+    };
+  },
+
+  storage: (s) => ({
+    capacity_gb: gb(s.capacity_gb ?? s.capacity),
+    interface: upper(s.interface),
+    type: upper(s.type),
+    form_factor: upper(s.form_factor),
+  }),
+
+  gpu: (s) => ({
+    memory_gb: gb(s.memory_gb ?? s.memory_size),
+    core_clock_mhz: mhz(s.core_clock_mhz ?? s.core_clock),
+    boost_clock_mhz: mhz(s.boost_clock_mhz ?? s.boost_clock),
+    tdp: num(s.tdp),
+    length: num(s.length),
+    ports: list(s.ports),
+    power_connectors: list(s.power_connectors),
+  }),
+
+  psu: (s) => ({
+    wattage: num(s.wattage),
+    form_factor: upper(s.form_factor),
+    pcie_connectors: list(s.pcie_connectors),
+  }),
+
+  case: (s) => {
+    const support = list(s.form_factor_support);
+
+    return {
+      form_factor_support: (support.length ? support : list(s.form_factor)).map(
+        formFactor
+      ),
+      max_gpu_length: num(s.max_gpu_length),
+      max_cpu_cooler_height: num(s.max_cpu_cooler_height),
+      psu_form_factor_support: list(s.psu_form_factor_support).map(upper),
+      radiator_front: list(s.radiator_front).map(num).filter(Boolean),
+      radiator_top: list(s.radiator_top).map(num).filter(Boolean),
+      radiator_side: list(s.radiator_side).map(num).filter(Boolean),
+    };
+  },
+
+  cpu_cooler: (s) => {
+    const liquid = /liquid|aio/i.test(String(s.type ?? ""));
+
+    return {
+      height: num(s.height),
+      liquid,
+      // older AIO rows carry the radiator size in `height`
+      radiator_size: liquid ? num(s.radiator_size) ?? num(s.height) : null,
+      tdp_rating: num(s.tdp_rating),
+      compatible_sockets: list(s.compatible_sockets).map(upper),
+    };
+  },
+};
+
+// ============================================================================
+// PUBLIC
+// ============================================================================
+
+/**
+ * Normalize one raw spec row for `category`. Unknown categories only get the
+ * DB bookkeeping columns stripped.
+ */
+export const normalizeSpecs = (category, raw) => {
+  if (!raw || typeof raw !== "object") return {};
+
+  const specs = { ...raw };
+  for (const key of META_KEYS) delete specs[key];
+
+  const normalizer = NORMALIZERS[category];
+  if (!normalizer) return specs;
+
+  return assign(specs, normalizer(specs));
+};
+
+/** Spec table name → category slug ("cpu_cooler_specs" → "cpu_cooler") */
+export const categoryForSpecTable = (table) => table.replace(/_specs$/, "");
@@ -0,0 +1,80 @@
+// src/utils/specValues.js
+// -----------------------------------------------------------------------------
+// SPEC VALUE HELPERS
+// Small null-safe readers shared by the compatibility rules and power model.
+// -----------------------------------------------------------------------------
+
+// Normalize helper for strings
+export const norm = (v) => {
+  if (v === null || v === undefined) return null;
+  if (typeof v === "string") return v.trim().toLowerCase();
+  return v;
+};
+
+// Normalize helper for array-of-strings
+export const normArray = (arr) => {
+  if (!Array.isArray(arr)) return [];
+  return arr.map((x) => (x ? String(x).trim().toLowerCase() : ""));
+};
+
+// Numeric safe
+export const n = (v) => {
+  const num = Number(v);
+  return Number.isFinite(num) ? num : 0;
+};
+
+// Memory kit layout: "2X16GB" / "2x16 GB" → { count: 2, sizeGb: 16 }
+export const parseModules = (modules) => {
+  if (typeof modules === "number") return { count: modules, sizeGb: 0 };
+
+  const match = String(modules || "").match(/(\d+)\s*x\s*([\d.]+)/i);
+  if (!match) return { count: 0, sizeGb: 0 };
+
+  return { count: Number(match[1]), sizeGb: Number(match[2]) };
+};
+
+// CPU architecture → generation key: "Zen 3 (3D V-Cache)" → "ZEN 3",
+// "Raptor Lake Refresh" → "RAPTOR LAKE REFRESH"
+export const generationKey = (v) => {
+  const text = String(v ?? "")
+    .replace(/\(.*?\)/g, "")
+    .trim()
+    .replace(/\s+/g, " ");
+  return text ? text.toUpperCase() : null;
+};
+
+// PCIe power connector list → counts per connector kind
+// ["1x 12VHPWR", "2x 8-pin", "6+2 pin"] → { pin16: 1, pin8: 3, pin6: 0 }
+// 12VHPWR and 12V-2x6 are the same 16-pin plug, and Nvidia's 12-pin (30
+// series) takes the same 12V cable; 6+2 pin plugs count as 8-pin.
+export const parseConnectors = (list) => {
+  const counts = { pin16: 0, pin8: 0, pin6: 0 };
+
+  for (const raw of [].concat(list || [])) {
+    const text = String(raw || "")
+      .trim()
+      .toLowerCase();
+    if (!text) continue;
+
+    const match = text.match(/^(\d+)\s*x\s*(.+)$/);
+    const count = match ? Number(match[1]) : 1;
+    const kind = match ? match[2] : text;
+
+    if (/12v|16|12\s*-?\s*pin/.test(kind)) counts.pin16 += count;
+    else if (/6\s*\+\s*2|8/.test(kind)) counts.pin8 += count;
+    else if (/6/.test(kind)) counts.pin6 += count;
+  }
+
+  return counts;
+};
+
+// Total kit capacity in GB (capacity_gb → "32 GB" → modules count × size)
+export const kitCapacityGb = (ram) => {
+  if (n(ram.capacity_gb)) return n(ram.capacity_gb);
+
+  const fromText = String(ram.capacity || "").match(/([\d.]+)/);
+  if (fromText) return Number(fromText[1]);
+
+  const { count, sizeGb } = parseModules(ram.modules);
+  return count * sizeGb;
+};
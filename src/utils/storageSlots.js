@@ -0,0 +1,92 @@
+// src/utils/storageSlots.js
+// -----------------------------------------------------------------------------
+// STORAGE SLOT ACCOUNTING
+// Tallies every drive in a build against the motherboard's M.2 slots and SATA
+// ports. M.2 drives (NVMe, or SATA in the M.2 form factor) take an M.2 slot;
+// 2.5" / 3.5" SATA drives take a SATA port.
+//
+// Lane sharing: on many boards some M.2 slots share lanes with SATA ports.
+//   m2_sata_shared        how many of the M.2 slots are shared (filled last)
+//   sata_disabled_per_m2  SATA ports disabled per populated shared slot
+//                         (default 2, the common chipset layout)
+// -----------------------------------------------------------------------------
+
+import { n, norm } from "./specValues.js";
+import { slotItems, itemQuantity } from "./buildSlots.js";
+
+const DEFAULT_SATA_DISABLED_PER_M2 = 2;
+
+export const isNvmeInterface = (iface) =>
+  /nvme|m\.2|m2|pci/.test(norm(iface) || "");
+
+// A drive sits in an M.2 slot when it is NVMe or an M.2-form-factor SATA stick
+export const usesM2Slot = ({ interface: iface, form_factor }) =>
+  isNvmeInterface(iface) || /m\.?2/.test(norm(form_factor) || "");
+
+export const usesSataPort = (drive) =>
+  !usesM2Slot(drive) && (norm(drive.interface) || "").includes("sata");
+
+/**
+ * drives  [{ interface, form_factor, quantity }]
+ * mb      motherboard specs (m2_slots / nvme_slots, sata_ports, sharing)
+ *
+ * Returns slot usage; totals the board doesn't list stay null (unknown), and
+ * their `free` is null too. `free` never goes below 0 — compare `used`
+ * against `total` / `available` to detect overflow.
+ */
+export const tallyStorageSlots = (drives = [], mb = {}) => {
+  let m2Used = 0;
+  let sataUsed = 0;
+
+  for (const d of drives) {
+    const quantity = n(d.quantity) || 1;
+    if (usesM2Slot(d)) m2Used += quantity;
+    else if (usesSataPort(d)) sataUsed += quantity;
+  }
+
+  const m2Total = mb.m2_slots ?? mb.nvme_slots ?? null;
+  const sataTotal = mb.sata_ports ?? null;
+
+  // shared slots are populated only once the dedicated ones are full
+  const shared = Math.min(n(mb.m2_sata_shared), n(m2Total));
+  const dedicated = n(m2Total) - shared;
+  const sharedInUse = Math.min(Math.max(0, m2Used - dedicated), shared);
+  const perShared = n(mb.sata_disabled_per_m2) || DEFAULT_SATA_DISABLED_PER_M2;
+  const sataDisabled =
+    sataTotal == null ? 0 : Math.min(n(sataTotal), sharedInUse * perShared);
+
+  const sataAvailable = sataTotal == null ? null : n(sataTotal) - sataDisabled;
+
+  return {
+    m2: {
+      total: m2Total == null ? null : n(m2Total),
+      used: m2Used,
+      free: m2Total == null ? null : Math.max(0, n(m2Total) - m2Used),
+    },
+    sata: {
+      total: sataTotal == null ? null : n(sataTotal),
+      disabled: sataDisabled,
+      available: sataAvailable,
+      used: sataUsed,
+      free:
+        sataAvailable == null ? null : Math.max(0, sataAvailable - sataUsed),
+    },
+    shared_m2_in_use: sharedInUse,
+  };
+};
+
+// Drive list of an expanded build → [{ interface, form_factor, quantity }]
+const buildDrives = (expanded) =>
+  slotItems(expanded?.storage).map((d) => ({
+    interface: d.specs?.interface,
+    form_factor: d.specs?.form_factor,
+    quantity: itemQuantity(d),
+  }));
+
+/** Slot usage for an expanded build (null without a motherboard) */
+export const storageSlotSummary = (expanded) => {
+  const mb = expanded?.motherboard;
+  if (!mb || typeof mb !== "object" || Array.isArray(mb)) return null;
+
+  return tallyStorageSlots(buildDrives(expanded), mb.specs || {});
+};
@@ -0,0 +1,241 @@
+// src/utils/substitution.js
+// -----------------------------------------------------------------------------
+// OUT-OF-STOCK SUBSTITUTION
+// Finds the parts of a build that can't be bought as-is (removed, inactive, or
+// not enough stock for their quantity) and proposes the closest replacement
+// in the same category: active, enough stock, and compatible with the rest of
+// the build (the unavailable part taken out). Each part is ranked on its own,
+// so accepted picks are re-checked together (addedErrors) before applying.
+// "Closest" is the relative price gap plus the relative score gap (autoBuilder
+// scoring helpers); categories without a score, or removed parts with no
+// specs, compare on price alone.
+// -----------------------------------------------------------------------------
+
+import * as Compatibility from "./compatibility.js";
+import {
+  cpuScore,
+  gpuScore,
+  memoryScore,
+  storageScore,
+} from "./autoBuilder.js";
+import {
+  isMultiCategory,
+  slotEntries,
+  addToSlot,
+  removeFromSlot,
+  MAX_QUANTITY,
+} from "./buildSlots.js";
+import { buildEntries, unavailableReason } from "./priceDrift.js";
+
+// Alternatives listed per unavailable part (the first one is the proposal)
+export const MAX_ALTERNATIVES = 3;
+
+const SCORERS = {
+  cpu: cpuScore,
+  gpu: gpuScore,
+  memory: memoryScore,
+  storage: storageScore,
+};
+
+const round = (v) => Math.round(v * 100) / 100;
+
+const price = (comp) => Number(comp?.price || 0);
+
+/** Performance score for categories the autoBuilder ranks, else null */
+export const partScore = (category, comp) => {
+  const scorer = SCORERS[category];
+  if (!scorer || !comp) return null;
+  return scorer(comp) || null;
+};
+
+// Relative gap, 0 when there is nothing to compare against
+const gap = (value, reference) =>
+  reference ? Math.abs(value - reference) / reference : 0;
+
+// Expanded build without the part being replaced
+const withoutPart = (expanded, category, id) => {
+  const rest = { ...expanded };
+
+  if (isMultiCategory(category)) {
+    const others = (rest[category] || []).filter(
+      (c) => String(c.id) !== String(id)
+    );
+    if (others.length) rest[category] = others;
+    else delete rest[category];
+  } else {
+    delete rest[category];
+  }
+
+  return rest;
+};
+
+/**
+ * Rank substitutes for one part.
+ * `original` is the expanded part (null when removed); `referencePrice`
+ * stands in for its price (saved builds pass the snapshot for removed parts).
+ * Returns up to MAX_ALTERNATIVES [{ component_id, name, price, price_delta,
+ * score_delta, stock, distance }], closest first.
+ */
+export const rankSubstitutes = ({
+  expanded,
+  category,
+  id,
+  quantity,
+  original,
+  referencePrice,
+  candidates,
+}) => {
+  const rest = withoutPart(expanded, category, id);
+  const basePrice = referencePrice ?? (original ? price(original) : null);
+  const baseScore = original ? partScore(category, original) : null;
+
+  return candidates
+    .filter(
+      (c) =>
+        String(c.id) !== String(id) &&
+        c.status === "active" &&
+        !unavailableReason(c, quantity) &&
+        Compatibility.isComponentCompatibleWithBuild(rest, {
+          ...c,
+          category,
+          quantity,
+        })
+    )
+    .map((c) => {
+      const score = partScore(category, c);
+      const distance =
+        (basePrice === null ? 0 : gap(price(c), basePrice)) +
+        (baseScore && score ? gap(score, baseScore) : 0);
+
+      return {
+        component_id: c.id,
+        name: c.name,
+        price: price(c),
+        price_delta: basePrice === null ? null : round(price(c) - basePrice),
+        score_delta: baseScore && score ? round(score - baseScore) : null,
+        stock: c.stock ?? null,
+        distance: round(distance),
+      };
+    })
+    .sort((a, b) => a.distance - b.distance || a.price - b.price)
+    .slice(0, MAX_ALTERNATIVES);
+};
+
+/**
+ * Scan a build for unavailable parts and propose substitutes.
+ *
+ * components  stored component map ({ cpu: id, memory: [{ id, quantity }] })
+ * expanded    the same build expanded (removed parts are absent)
+ * catalog     Map of componentId → { id, name, price, status, stock } for
+ *             every part in the build
+ * candidates  { [category]: components with specs } for the affected
+ *             categories
+ * snapshot    optional saved `price_snapshot`
+ *
+ * Returns [{ category, component_id, name, quantity, reason, substitute,
+ * alternatives }]; `substitute` is null when nothing fits.
+ */
+export const proposeSubstitutions = ({
+  components,
+  expanded,
+  catalog,
+  candidates,
+  snapshot = {},
+}) =>
+  buildEntries(components).flatMap(({ category, id, quantity }) => {
+    const row = catalog.get(String(id)) || null;
+    const reason = unavailableReason(row, quantity);
+    if (!reason) return [];
+
+    const original =
+      []
+        .concat(expanded[category] || [])
+        .find((c) => String(c.id) === String(id)) || null;
+
+    const snapshotPrice = snapshot?.[id];
+
+    const alternatives = rankSubstitutes({
+      expanded,
+      category,
+      id,
+      quantity,
+      original,
+      referencePrice:
+        !original && snapshotPrice != null ? Number(snapshotPrice) : null,
+      candidates: candidates[category] || [],
+    });
+
+    return [
+      {
+        category,
+        component_id: id,
+        name: row?.name || null,
+        quantity,
+        reason,
+        substitute: alternatives[0] || null,
+        alternatives,
+      },
+    ];
+  });
+
+/** Categories that need candidate lists for proposeSubstitutions */
+export const affectedCategories = (components, catalog) => [
+  ...new Set(
+    buildEntries(components)
+      .filter(({ id, quantity }) =>
+        unavailableReason(catalog.get(String(id)) || null, quantity)
+      )
+      .map(({ category }) => category)
+  ),
+];
+
+/**
+ * Swap accepted substitutes into a stored component map.
+ * `picks` is [{ category, component_id, substitute_id }]; multi-quantity
+ * slots keep the replaced entry's quantity (merged if the substitute is
+ * already listed, capped at MAX_QUANTITY).
+ */
+export const applySubstitutions = (components, picks) => {
+  const next = { ...components };
+
+  for (const { category, component_id, substitute_id } of picks) {
+    if (!isMultiCategory(category)) {
+      next[category] = substitute_id;
+      continue;
+    }
+
+    const replaced = slotEntries(next[category]).find(
+      (e) => String(e.id) === String(component_id)
+    );
+
+    const updated = addToSlot(
+      removeFromSlot(next[category], replaced?.id ?? component_id),
+      substitute_id,
+      replaced?.quantity || 1
+    );
+
+    next[category] = updated.map((e) => ({
+      ...e,
+      quantity: Math.min(e.quantity, MAX_QUANTITY),
+    }));
+  }
+
+  return next;
+};
+
+const issueKey = (i) => `${i.code}:${[].concat(i.categories).sort().join(",")}`;
+
+/**
+ * Compatibility errors the substituted build has that the original didn't
+ * (two substitutes that each fit alone can still clash, e.g. CPU + board).
+ * Both arguments are expanded builds; returns checkWholeBuild issues.
+ */
+export const addedErrors = (beforeExpanded, afterExpanded) => {
+  const errors = (expanded) =>
+    Compatibility.checkWholeBuild(expanded).issues.filter(
+      (i) => i.severity === Compatibility.SEVERITY.ERROR
+    );
+
+  const existing = new Set(errors(beforeExpanded).map(issueKey));
+  return errors(afterExpanded).filter((i) => !existing.has(issueKey(i)));
+};
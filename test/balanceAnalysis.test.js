@@ -0,0 +1,44 @@
+// test/balanceAnalysis.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+// balanceAnalysis → autoBuilder → db.js exits without a DATABASE_URL; the
+// pool connects lazily, so a placeholder is enough for these pure helpers
+process.env.DATABASE_URL ??= "postgres://test@localhost/test";
+
+const {
+  analyzeBalance,
+  isUseCase,
+  resolutionKey,
+  DEFAULT_USE_CASE,
+  DEFAULT_RESOLUTION,
+} = await import("../src/utils/balanceAnalysis.js");
+
+test("prototype keys are not use cases or resolutions", () => {
+  for (const key of [
+    "constructor",
+    "toString",
+    "__proto__",
+    "hasOwnProperty",
+  ]) {
+    assert.equal(isUseCase(key), false, key);
+    assert.equal(resolutionKey(key), null, key);
+  }
+  assert.equal(isUseCase(["gaming"]), false);
+});
+
+test("known use cases and resolution aliases still resolve", () => {
+  assert.equal(isUseCase("streaming"), true);
+  assert.equal(resolutionKey("4K"), "4k");
+  assert.equal(resolutionKey("2160p"), "4k");
+  assert.equal(resolutionKey("QHD"), "1440p");
+});
+
+test("analyzeBalance falls back to defaults for prototype keys", () => {
+  const result = analyzeBalance(
+    {},
+    { use_case: "constructor", resolution: "toString" }
+  );
+  assert.equal(result.use_case, DEFAULT_USE_CASE);
+  assert.equal(result.resolution, DEFAULT_RESOLUTION);
+});
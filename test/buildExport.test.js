@@ -0,0 +1,35 @@
+// test/buildExport.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { exportBuild } from "../src/utils/buildExport.js";
+
+const render = (format, name, partName) =>
+  exportBuild(format, {
+    build: { name },
+    expanded: { cpu: { id: 1, name: partName, price: 199 } },
+    summary: {
+      total_price: 199,
+      power_usage: 120,
+      peak_power: 160,
+      recommended_psu_watts: 450,
+    },
+    compatibility: { ok: true, counts: {}, issues: [] },
+  });
+
+test("csv quotes cells with a carriage return", () => {
+  const csv = render("csv", "Build", "Ryzen\r5");
+  assert.match(csv, /^CPU,"Ryzen\r5",1,199\.00,199\.00$/m);
+});
+
+test("bbcode names can't open or close tags", () => {
+  const out = render("bbcode", "[/b][url=x]hi[/url]", "CPU [/td]\n[tr]");
+  assert.match(out, /^\[b\]\(\/b\)\(url=x\)hi\(\/url\)\[\/b\]$/m);
+  assert.match(out, /\[td\]CPU \(\/td\) \(tr\)\[\/td\]/);
+});
+
+test("markdown names stay inside their cell", () => {
+  const out = render("markdown", "My [build](http://x)\n# hi", "A | B\n| C");
+  assert.match(out, /^## My \\\[build\\\]\(http:\/\/x\) \\# hi$/m);
+  assert.match(out, /^\| CPU \| A \\\| B \\\| C \| 1 \| 199\.00 \|$/m);
+});
@@ -0,0 +1,45 @@
+// test/draftMiddleware.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+// draftMiddleware → builderModel → db.js exits without a DATABASE_URL; the
+// rejected requests below never reach the pool
+process.env.DATABASE_URL ??= "postgres://test@localhost/test";
+
+const { resolveDraft, isDraftId } = await import(
+  "../src/middleware/draftMiddleware.js"
+);
+
+const run = async (draft) => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  let nextCalled = false;
+
+  await resolveDraft({ user: { id: "u1" }, query: { draft } }, res, () => {
+    nextCalled = true;
+  });
+
+  return { status: res.statusCode, nextCalled };
+};
+
+test("isDraftId only accepts uuid strings", () => {
+  assert.equal(isDraftId("3f2b8c1e-5d4a-4e6f-9a7b-0c1d2e3f4a5b"), true);
+  assert.equal(isDraftId("default"), false);
+  assert.equal(isDraftId("1 OR 1=1"), false);
+  assert.equal(isDraftId(["3f2b8c1e-5d4a-4e6f-9a7b-0c1d2e3f4a5b"]), false);
+});
+
+test("resolveDraft rejects malformed ?draft= before querying", async () => {
+  assert.deepEqual(await run(["a", "b"]), { status: 400, nextCalled: false });
+  assert.deepEqual(await run("not-a-uuid"), { status: 404, nextCalled: false });
+});
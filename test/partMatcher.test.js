@@ -0,0 +1,70 @@
+// test/partMatcher.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  parsePartsList,
+  matchPart,
+  matchPartsList,
+  MIN_CONFIDENCE,
+} from "../src/utils/partMatcher.js";
+
+const CATALOG = [
+  { id: 1, name: "AMD Ryzen 5 7600", category: "cpu" },
+  { id: 2, name: "AMD Ryzen 7 7800X3D", category: "cpu" },
+  { id: 3, name: "AMD Radeon RX 7600", category: "gpu" },
+  { id: 4, name: "Corsair Vengeance DDR5 32GB 2x16", category: "memory" },
+];
+
+const parseOne = (line) => parsePartsList(line)[0];
+
+test("model numbers after an x are not quantities", () => {
+  assert.deepEqual(parseOne("GPU: AMD Radeon RX 7600"), {
+    line: 1,
+    raw: "GPU: AMD Radeon RX 7600",
+    category: "gpu",
+    name: "AMD Radeon RX 7600",
+    quantity: 1,
+  });
+
+  const kit = parseOne("Memory: Corsair Vengeance DDR5 32GB 2x16");
+  assert.equal(kit.name, "Corsair Vengeance DDR5 32GB 2x16");
+  assert.equal(kit.quantity, 1);
+});
+
+test("quantities set apart from the name are read", () => {
+  assert.equal(parseOne("2x Corsair Vengeance DDR5 32GB 2x16").quantity, 2);
+  assert.equal(parseOne("Corsair Vengeance DDR5 32GB 2x16 x2").quantity, 2);
+  assert.equal(parseOne("Corsair Vengeance DDR5 32GB 2x16 (x2)").quantity, 2);
+});
+
+test("line words match whole name words, not substrings", () => {
+  // "7" only appears inside "7600" here
+  const ryzen5 = CATALOG.filter((c) => c.id === 1);
+  const hit = matchPart("Ryzen 7", ryzen5, "cpu");
+  assert.ok(!hit || hit.method === "overlap", `matched by ${hit?.method}`);
+
+  assert.equal(matchPart("Ryzen 7", CATALOG, "cpu").component.id, 2);
+});
+
+test("a one-letter suffix is only a suggestion", () => {
+  const hit = matchPart("AMD Ryzen 5 7600X", CATALOG, "cpu");
+  assert.equal(hit.component.id, 1);
+  assert.equal(hit.method, "suffix");
+  assert.ok(hit.confidence < MIN_CONFIDENCE);
+
+  const intel = [{ id: 5, name: "Intel Core i5 13400", category: "cpu" }];
+  const { lines, unmatched } = matchPartsList(
+    "CPU: AMD Ryzen 5 7600X\nCPU: Intel Core i5 13400F",
+    [...CATALOG, ...intel]
+  );
+
+  assert.deepEqual(
+    lines.map((l) => [l.match, l.suggestion?.component_id]),
+    [
+      [null, 1],
+      [null, 5],
+    ]
+  );
+  assert.equal(unmatched.length, 2);
+});
@@ -0,0 +1,28 @@
+// test/priceDrift.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { priceDrift } from "../src/utils/priceDrift.js";
+
+test("parts with less stock than their quantity are unavailable", () => {
+  const build = {
+    components: { memory: [{ id: 7, quantity: 2 }] },
+    total_price: 200,
+    price_snapshot: { 7: 100 },
+  };
+  const catalog = new Map([
+    ["7", { id: 7, name: "DDR5 16GB", price: 100, status: "active", stock: 1 }],
+  ]);
+
+  const drift = priceDrift(build, catalog);
+
+  assert.equal(drift.parts[0].available, false);
+  assert.deepEqual(drift.unavailable, [
+    {
+      category: "memory",
+      component_id: 7,
+      name: "DDR5 16GB",
+      reason: "insufficient_stock",
+    },
+  ]);
+});
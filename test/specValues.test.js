@@ -0,0 +1,49 @@
+// test/specValues.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { parseConnectors } from "../src/utils/specValues.js";
+import { checkWholeBuild } from "../src/utils/compatibility.js";
+
+test("6+2 pin plugs count as 8-pin", () => {
+  assert.deepEqual(parseConnectors(["6+2 pin"]), {
+    pin16: 0,
+    pin8: 1,
+    pin6: 0,
+  });
+  assert.deepEqual(parseConnectors(["2x 6+2-pin", "4x 6+2 pin"]), {
+    pin16: 0,
+    pin8: 6,
+    pin6: 0,
+  });
+});
+
+test("12-pin plugs count as 16-pin class", () => {
+  assert.deepEqual(parseConnectors(["1x 12-pin"]), {
+    pin16: 1,
+    pin8: 0,
+    pin6: 0,
+  });
+  assert.deepEqual(parseConnectors(["1x 12VHPWR", "1x 12V-2x6"]), {
+    pin16: 2,
+    pin8: 0,
+    pin6: 0,
+  });
+});
+
+test("plain 8-pin and 6-pin plugs", () => {
+  assert.deepEqual(parseConnectors(["2x 8-pin", "1x 6-pin"]), {
+    pin16: 0,
+    pin8: 2,
+    pin6: 1,
+  });
+});
+
+test("a PSU with 6+2 pin cables powers an 8-pin GPU", () => {
+  const { issues } = checkWholeBuild({
+    gpu: { id: 1, specs: { tdp: 250, power_connectors: ["2x 8-pin"] } },
+    psu: { id: 2, specs: { wattage: 750, pcie_connectors: ["4x 6+2 pin"] } },
+  });
+
+  assert.ok(!issues.some((i) => i.code === "GPU_POWER_CONNECTORS_MISSING"));
+});